@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const { keyring, generateKey, options: defaults } = require("./keyring");
+
+const usage = `Usage: keyring <command> [options]
+
+Commands:
+  generate                    Generate a new key.
+  add-key                     Generate a new key and add it to the keyring.
+  validate                    Validate the keyring.
+  encrypt <message>           Encrypt a message using the current key.
+  decrypt <message>           Decrypt a message. Strings are printed as they are,
+                              binary values as base64, dates as ISO strings and
+                              other values as JSON.
+  digest <message>            Generate the digest for a message.
+
+Options:
+  --file <path>               Read the keyring from a JSON file.
+  --env <name>                Read the keyring from an environment variable.
+  --encryption <algorithm>    The encryption algorithm (default: ${defaults.encryption}).
+  --salt <salt>               The salt used by SHA1 digests.
+  --index-keys-file <path>    Read the blind index keys from a JSON file.
+  --index-keys-env <name>     Read the blind index keys from an environment variable.
+  --keyring-id <id>           The keyring id (only required for version 0 messages).
+  --context <context>         The context bound to the message (JSON or string).
+  --id <id>                   The id of the new key (add-key only).
+  --help                      Show this message.
+
+add-key writes the updated keyring back when using --file, and prints it when
+using --env.`;
+
+/**
+ * Parse command-line arguments into positional arguments and options.
+ * Options are always `--name value`, except for `--help`.
+ *
+ * @param  {Array}  argv  The arguments, without the node binary and script.
+ * @return {Object}       The positional arguments and options.
+ */
+
+const parseArgs = (argv) => {
+  const args = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--help") {
+      flags.help = true;
+    } else if (arg.startsWith("--")) {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+
+      flags[arg.slice(2)] = argv[++i];
+    } else {
+      args.push(arg);
+    }
+  }
+
+  return { args, flags };
+};
+
+/**
+ * Read a JSON object from a file or an environment variable.
+ *
+ * @param  {String} file  The JSON file path.
+ * @param  {String} name  The environment variable name.
+ * @param  {Object} env   The environment.
+ * @return {Object}       The parsed object, or `undefined` if no source was given.
+ */
+
+const readJSON = (file, name, env) => {
+  if (file) return JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (name) {
+    if (env[name] === undefined)
+      throw new Error(`Environment variable ${name} is not set`);
+
+    return JSON.parse(env[name]);
+  }
+
+  return undefined;
+};
+
+const readKeys = (flags, env) => {
+  const keys = readJSON(flags.file, flags.env, env);
+
+  if (!keys) throw new Error("Provide the keyring using --file or --env");
+
+  return keys;
+};
+
+const parseContext = (context) => {
+  if (context === undefined) return undefined;
+
+  try {
+    return JSON.parse(context);
+  } catch (error) {
+    return context;
+  }
+};
+
+const buildKeyring = (keys, flags, env, { requireSalt = false } = {}) => {
+  const indexKeys = readJSON(
+    flags["index-keys-file"],
+    flags["index-keys-env"],
+    env
+  );
+  let salt = flags.salt;
+
+  // Only digests need the salt; other commands shouldn't require it.
+  if (salt === undefined && !indexKeys && !requireSalt) salt = "";
+
+  return keyring(keys, {
+    encryption: flags.encryption || defaults.encryption,
+    salt,
+    indexKeys,
+  });
+};
+
+/**
+ * Format a decrypted value for the terminal.
+ *
+ * @param  {Object} value  The decrypted value.
+ * @return {String}        The formatted value.
+ */
+
+const formatValue = (value) => {
+  if (typeof value === "string") return value;
+  if (Buffer.isBuffer(value)) return value.toString("base64");
+  if (value instanceof Date) return value.toISOString();
+
+  return JSON.stringify(value);
+};
+
+const requireMessage = (args) => {
+  if (args.length !== 1) throw new Error("Provide exactly one message");
+
+  return args[0];
+};
+
+const commands = {
+  generate: (args, flags) => generateKey(flags.encryption),
+
+  "add-key": (args, flags, env) => {
+    const keys = readKeys(flags, env);
+    const ids = Object.keys(keys).map((id) => parseInt(id, 10));
+    const id =
+      flags.id === undefined
+        ? Math.max(0, ...ids.filter((id) => !isNaN(id))) + 1
+        : parseInt(flags.id, 10);
+
+    if (isNaN(id)) throw new Error("All keyring keys must be integer numbers");
+    if (keys[id] !== undefined)
+      throw new Error(`key=${id} is already on keyring`);
+
+    const updated = Object.assign({}, keys, {
+      [id]: generateKey(flags.encryption),
+    });
+    buildKeyring(updated, flags, env);
+
+    const json = JSON.stringify(updated, null, 2);
+
+    if (!flags.file) return json;
+
+    fs.writeFileSync(flags.file, `${json}\n`);
+
+    return `Added key=${id} to ${flags.file}`;
+  },
+
+  validate: (args, flags, env) => {
+    const keys = readKeys(flags, env);
+    const encryptor = buildKeyring(keys, flags, env);
+    const count = Object.keys(keys).length;
+
+    return `Keyring is valid: ${count} key(s), current id is ${encryptor.currentId()}`;
+  },
+
+  encrypt: (args, flags, env) => {
+    const message = requireMessage(args);
+    const encryptor = buildKeyring(readKeys(flags, env), flags, env, {
+      requireSalt: true,
+    });
+    const [encrypted, keyringId, digest] = encryptor.encrypt(
+      message,
+      parseContext(flags.context)
+    );
+
+    return JSON.stringify({ encrypted, keyringId, digest }, null, 2);
+  },
+
+  decrypt: (args, flags, env) => {
+    const message = requireMessage(args);
+    const encryptor = buildKeyring(readKeys(flags, env), flags, env);
+
+    return formatValue(
+      encryptor.decrypt(
+        message,
+        flags["keyring-id"],
+        parseContext(flags.context)
+      )
+    );
+  },
+
+  digest: (args, flags, env) => {
+    const message = requireMessage(args);
+    const keys = readJSON(flags.file, flags.env, env);
+
+    // Digests don't depend on encryption keys, so any valid key will do.
+    const encryptor = buildKeyring(
+      keys || { 1: generateKey(flags.encryption) },
+      flags,
+      env,
+      { requireSalt: true }
+    );
+
+    return encryptor.digest(message);
+  },
+};
+
+/**
+ * Run the command-line tool.
+ *
+ * @param  {Array}  argv  The arguments, without the node binary and script.
+ * @param  {Object} env   The environment.
+ * @return {String}       The command output.
+ */
+
+const run = (argv, env = process.env) => {
+  const { args, flags } = parseArgs(argv);
+  const [name, ...rest] = args;
+
+  if (flags.help || !name) return usage;
+
+  const command = commands[name];
+
+  if (!command) throw new Error(`Unknown command: ${name}\n\n${usage}`);
+
+  return command(rest, flags, env);
+};
+
+if (require.main === module) {
+  try {
+    process.stdout.write(`${run(process.argv.slice(2))}\n`);
+  } catch (error) {
+    process.stderr.write(`keyring: ${error.message}\n`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { run };
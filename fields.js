@@ -0,0 +1,510 @@
+const {
+  keyring: Keyring,
+  isProvider,
+  resolveDigestSuffix,
+} = require("./keyring");
+
+// The encrypted field core shared by the ORM adapters: it resolves which
+// columns store each encrypted attribute, caches keyrings, and encrypts and
+// decrypts rows. Each encrypted attribute (e.g. `email`) is stored in an
+// encrypted column (`encrypted_email`), an optional digest column
+// (`email_digest`) and a keyring id column (`keyring_id`).
+
+// Options that can be set per column to use a different keyring.
+const keyringOptionNames = [
+  "keys",
+  "encryption",
+  "decryption",
+  "salt",
+  "indexKeys",
+  "activeId",
+  "onOperation",
+];
+
+const digestSuffixes = { underscored: "_digest", camelCase: "Digest" };
+
+const decryptionErrorPolicies = ["throw", "null"];
+
+const isString = (value) => {
+  return typeof value === "string" || value instanceof String;
+};
+
+const hasOwn = (object, key) =>
+  Object.prototype.hasOwnProperty.call(object, key);
+
+// Provider-backed keyrings load keys asynchronously and keep watching for
+// changes, so they're created once per set of options.
+const providerKeyrings = new WeakMap();
+
+// Provider-backed keyrings once their keys have been loaded, so values can be
+// decrypted synchronously.
+const loadedKeyrings = new WeakMap();
+
+// Keyrings built from plain keys are cached along with a fingerprint of those
+// keys, and rebuilt when keys are added or changed (e.g. during rotation).
+const cachedKeyrings = new WeakMap();
+
+const buildKeyring = (options) => {
+  const {
+    keys,
+    encryption,
+    decryption,
+    salt,
+    indexKeys,
+    activeId,
+    onOperation,
+  } = options;
+
+  return Keyring(keys, {
+    encryption,
+    decryption,
+    salt,
+    indexKeys,
+    activeId,
+    onOperation,
+  });
+};
+
+const cachedKeyring = (options) => {
+  const fingerprint = JSON.stringify(options.keys);
+  const cached = cachedKeyrings.get(options);
+
+  if (cached && cached.fingerprint === fingerprint) return cached.keyring;
+
+  const keyring = buildKeyring(options);
+
+  cachedKeyrings.set(options, { fingerprint, keyring });
+
+  return keyring;
+};
+
+/**
+ * Return the keyring for a column's keyring options, loading keys from the
+ * key provider the first time.
+ *
+ * @public
+ * @param  {Object} options  The column's keyring options.
+ * @return {Promise}         Resolves to the keyring.
+ */
+
+const resolveKeyring = async (options) => {
+  if (!isProvider(options.keys)) return cachedKeyring(options);
+
+  if (!providerKeyrings.has(options)) {
+    const pending = buildKeyring(options);
+
+    // Failed loads aren't cached, so the next call tries again.
+    providerKeyrings.set(options, pending);
+    pending.catch(() => {
+      if (providerKeyrings.get(options) === pending)
+        providerKeyrings.delete(options);
+    });
+  }
+
+  const keyring = await providerKeyrings.get(options);
+
+  loadedKeyrings.set(options, keyring);
+
+  return keyring;
+};
+
+/**
+ * Return the keyring for a column's keyring options synchronously.
+ * Keys from key providers must have been loaded by resolveKeyring() first.
+ *
+ * @public
+ * @param  {Object} options  The column's keyring options.
+ * @return {Object}          The keyring.
+ */
+
+const loadedKeyring = (options) => {
+  if (!isProvider(options.keys)) return cachedKeyring(options);
+
+  if (!loadedKeyrings.has(options))
+    throw new Error("Keys haven't been loaded from the key provider yet");
+
+  return loadedKeyrings.get(options);
+};
+
+const upperFirst = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const resolveColumn = (column, defaults, { attributes, underscored }) => {
+  const config = isString(column) ? { name: column } : column;
+  const { name } = config;
+  const naming = config.naming || defaults.naming;
+
+  if (naming && !digestSuffixes[naming])
+    throw new Error(`Unknown column naming: ${naming}`);
+
+  // Underscored models map camelCase attributes to underscored fields, so
+  // they use camelCase attribute names too.
+  const suffix = resolveDigestSuffix(
+    name,
+    naming
+      ? digestSuffixes[naming]
+      : underscored
+      ? digestSuffixes.camelCase
+      : undefined
+  );
+  const camelCase = suffix === digestSuffixes.camelCase;
+
+  // Fall back to the original `encrypted_<column>` and `<column>_digest`
+  // names when only those are defined, so existing models keep working.
+  const infer = (preferred, original) =>
+    !attributes.includes(preferred) && attributes.includes(original)
+      ? original
+      : preferred;
+
+  const keyringOptions = keyringOptionNames.reduce((buffer, option) => {
+    if (config[option] !== undefined) buffer[option] = config[option];
+    return buffer;
+  }, {});
+
+  return {
+    name,
+    encryptedColumn:
+      config.encryptedColumn ||
+      infer(
+        camelCase ? `encrypted${upperFirst(name)}` : `encrypted_${name}`,
+        `encrypted_${name}`
+      ),
+    digestColumn:
+      config.digestColumn === false
+        ? null
+        : config.digestColumn || infer(`${name}${suffix}`, `${name}_digest`),
+    keyringIdColumn: config.keyringIdColumn || defaults.keyringIdColumn,
+    deterministic: Boolean(config.deterministic),
+    keyring:
+      Object.keys(keyringOptions).length === 0
+        ? defaults.keyring
+        : Object.assign({}, defaults.keyring, keyringOptions),
+  };
+};
+
+const validateColumns = (columns) => {
+  columns.forEach((column) => {
+    const conflict = columns.find(
+      (other) =>
+        other.keyringIdColumn === column.keyringIdColumn &&
+        other.keyring !== column.keyring
+    );
+
+    if (conflict)
+      throw new Error(
+        `Columns ${column.name} and ${conflict.name} use different keyrings, so they can't share the ${column.keyringIdColumn} column`
+      );
+  });
+};
+
+/**
+ * Resolve the encrypted columns configuration.
+ * Columns can be attribute names, or objects that set their own column names
+ * (`encryptedColumn`, `digestColumn`, `keyringIdColumn`), `naming` and
+ * keyring options. Set `digestColumn` to `false` for columns without digest.
+ * Set `deterministic` to encrypt equal values to equal ciphertexts, so they
+ * can be looked up by their encrypted column; see keyring's `encrypt()`.
+ *
+ * @public
+ * @param  {Array}   columns                      The encrypted columns.
+ * @param  {Object}  options                      The default keyring options, `naming` and `keyringIdColumn`.
+ * @param  {Object}  schema
+ * @param  {Array}   schema.attributes            The attributes defined by the model, used to infer column names.
+ * @param  {Boolean} schema.underscored           Whether attributes are mapped to underscored fields.
+ * @return {Array}                                The resolved columns.
+ */
+
+const resolveColumns = (
+  columns,
+  {
+    keys,
+    salt,
+    indexKeys,
+    activeId,
+    onOperation,
+    naming,
+    encryption = "aes-128-cbc",
+    decryption,
+    keyringIdColumn = "keyring_id",
+  },
+  { attributes = [], underscored = false } = {}
+) => {
+  const defaults = {
+    naming,
+    keyringIdColumn,
+    keyring: {
+      keys,
+      encryption,
+      decryption,
+      salt,
+      indexKeys,
+      activeId,
+      onOperation,
+    },
+  };
+  const resolved = columns.map((column) =>
+    resolveColumn(column, defaults, { attributes, underscored })
+  );
+
+  validateColumns(resolved);
+
+  return resolved;
+};
+
+/**
+ * Throw if the decryption error policy isn't `throw`, `null` or a function.
+ *
+ * @public
+ * @param {String|Function} policy  The decryption error policy.
+ */
+
+const validateDecryptionErrorPolicy = (policy) => {
+  if (typeof policy !== "function" && !decryptionErrorPolicies.includes(policy))
+    throw new Error(`Unknown decryption error policy: ${policy}`);
+};
+
+/**
+ * Apply the decryption error policy: rethrow the error, return `null`, or
+ * return the callback's value.
+ *
+ * @public
+ * @param  {String|Function} policy   The decryption error policy.
+ * @param  {Error}           error    The decryption error.
+ * @param  {Object}          details  The `record` and `column` being decrypted.
+ * @return {Object}                   The value to use instead.
+ */
+
+const handleDecryptionError = (policy, error, details) => {
+  if (policy === "null") return null;
+  if (typeof policy === "function") return policy(error, details);
+
+  throw error;
+};
+
+/**
+ * Encrypt a column value. `null` and `undefined` are stored as `null`.
+ *
+ * @public
+ * @param  {Object} keyring    The column's keyring.
+ * @param  {Object} value      The value.
+ * @param  {Object} context    The encryption context.
+ * @param  {Number} keyringId  The record's keyring id, kept for `null` values.
+ * @param  {Object} options    The keyring's `encrypt()` options (e.g. `deterministic`).
+ * @return {Object}            The `encrypted` value, `keyringId` and `digest`.
+ */
+
+const encryptValue = (keyring, value, context, keyringId, options) => {
+  if (value === null || value === undefined)
+    return {
+      encrypted: null,
+      keyringId: keyringId || keyring.currentId(),
+      digest: null,
+    };
+
+  const [encrypted, id, digest] = keyring.encrypt(value, context, options);
+
+  return { encrypted, keyringId: id, digest };
+};
+
+/**
+ * Create the encrypted fields of a model whose rows are plain objects, as used
+ * by the Knex, TypeORM and Prisma adapters.
+ *
+ * Values are bound to `{ model, column }`, plus the record id when
+ * `primaryKey` is set; ids generated by the database aren't known before rows
+ * are inserted, so leave it unset for those. Deterministic columns are never
+ * bound to the record id, since equal values must encrypt the same way.
+ *
+ * @public
+ * @param  {Object}          options
+ * @param  {String}          options.model           The model name, used as encryption context.
+ * @param  {Array}           options.columns         The encrypted columns; see resolveColumns().
+ * @param  {String}          options.primaryKey      The primary key to bind values to.
+ * @param  {Array}           options.attributes      The model's columns. When set, digests are
+ *                                                   only written to existing digest columns.
+ * @param  {String|Function} options.onDecryptError  The decryption error policy.
+ * @return {Object}                                  The encrypted fields.
+ */
+
+const encryptedFields = ({
+  model,
+  columns,
+  primaryKey,
+  attributes,
+  onDecryptError = "throw",
+  ...options
+}) => {
+  validateDecryptionErrorPolicy(onDecryptError);
+
+  const resolved = resolveColumns(columns, options, { attributes });
+
+  const hasDigest = (column) =>
+    column.digestColumn !== null &&
+    (!attributes || attributes.includes(column.digestColumn));
+
+  const findColumn = (name) => {
+    const column = resolved.find((column) => column.name === name);
+
+    if (!column) throw new Error(`Column ${name} isn't encrypted`);
+
+    return column;
+  };
+
+  const encryptionContext = (column, row, id = row[primaryKey]) => {
+    const context = { model, column: column.name };
+
+    if (!primaryKey || column.deterministic) return context;
+
+    if (id === undefined || id === null)
+      throw new Error(
+        `Cannot bind ${model}.${column.name} to a record without ${primaryKey}`
+      );
+
+    context.id = id;
+
+    return context;
+  };
+
+  const load = () =>
+    Promise.all(resolved.map((column) => resolveKeyring(column.keyring)));
+
+  // Rows without an encrypted column (e.g. not selected) are left untouched.
+  const decryptRow = (row) => {
+    if (!row || typeof row !== "object") return row;
+
+    const decrypted = { ...row };
+
+    resolved.forEach((column) => {
+      if (!hasOwn(row, column.encryptedColumn)) return;
+
+      const encrypted = row[column.encryptedColumn];
+
+      try {
+        decrypted[column.name] = isString(encrypted)
+          ? loadedKeyring(column.keyring).decrypt(
+              encrypted,
+              row[column.keyringIdColumn],
+              encryptionContext(column, row)
+            )
+          : null;
+      } catch (error) {
+        decrypted[column.name] = handleDecryptionError(onDecryptError, error, {
+          record: row,
+          column: column.name,
+        });
+      }
+    });
+
+    return decrypted;
+  };
+
+  return {
+    model,
+    columns: resolved,
+
+    /**
+     * Load the keys of every column.
+     *
+     * @return {Promise}
+     */
+    load,
+
+    /**
+     * Encrypt the attributes set on the row, replacing them with their
+     * encrypted, digest and keyring id columns.
+     *
+     * @param  {Object} row         The row.
+     * @param  {Object} options
+     * @param  {Object} options.id  The record id, when it isn't set on the row.
+     * @return {Promise}            Resolves to the row to write.
+     */
+    encrypt: async (row, { id } = {}) => {
+      const encrypted = { ...row };
+
+      for (const column of resolved) {
+        if (!hasOwn(row, column.name)) continue;
+
+        const keyring = await resolveKeyring(column.keyring);
+        const result = encryptValue(
+          keyring,
+          row[column.name],
+          encryptionContext(column, row, id),
+          row[column.keyringIdColumn],
+          { deterministic: column.deterministic }
+        );
+
+        delete encrypted[column.name];
+        encrypted[column.encryptedColumn] = result.encrypted;
+        encrypted[column.keyringIdColumn] = result.keyringId;
+
+        if (hasDigest(column)) encrypted[column.digestColumn] = result.digest;
+      }
+
+      return encrypted;
+    },
+
+    /**
+     * Decrypt a row, or a list of rows, adding the decrypted attributes.
+     *
+     * @param  {Object|Array} rows  The rows.
+     * @return {Promise}            Resolves to the decrypted rows.
+     */
+    decrypt: async (rows) => {
+      await load();
+
+      return Array.isArray(rows) ? rows.map(decryptRow) : decryptRow(rows);
+    },
+
+    /**
+     * Return the digests that match any of the values, to look up records.
+     * Deterministic columns are looked up by their encrypted column instead,
+     * using the ciphertexts of every key.
+     *
+     * @param  {String} name    The encrypted attribute.
+     * @param  {Array}  values  The values.
+     * @return {Promise}        Resolves to the digest `column` and `digests`.
+     */
+    digests: async (name, values) => {
+      const column = findColumn(name);
+
+      if (column.deterministic) {
+        const keyring = await resolveKeyring(column.keyring);
+        const context = encryptionContext(column, {});
+
+        return {
+          column: column.encryptedColumn,
+          digests: []
+            .concat(values)
+            .flatMap((value) => keyring.ciphertexts(value, context)),
+        };
+      }
+
+      if (!hasDigest(column))
+        throw new Error(
+          `Encrypted column ${name} can't be queried because it has no digest column (${column.digestColumn})`
+        );
+
+      const keyring = await resolveKeyring(column.keyring);
+
+      return {
+        column: column.digestColumn,
+        digests: [].concat(values).flatMap((value) => keyring.digests(value)),
+      };
+    },
+  };
+};
+
+/**
+ * The module's public interface.
+ *
+ * @type {Object}
+ */
+
+module.exports = {
+  encryptedFields,
+  resolveColumns,
+  resolveKeyring,
+  loadedKeyring,
+  encryptValue,
+  validateDecryptionErrorPolicy,
+  handleDecryptionError,
+};
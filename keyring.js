@@ -5,6 +5,13 @@
  */
 const crypto = require("crypto");
 
+/**
+ * Node stream Transform class.
+ * @constant
+ * @type {Function}
+ */
+const { Transform } = require("stream");
+
 /**
  * Set the default keyring options.
  * @constant
@@ -14,7 +21,8 @@ const defaultKeyringOptions = {
   encryption: "aes-128-cbc",
 };
 
-// It's the double of the actual size because * half of the key is used as the HMAC key.
+// For CBC algorithms the key must be the double of the actual size because
+// half of the key is used as the HMAC key.
 /**
  * Expected key size.
  *
@@ -25,6 +33,148 @@ const keySizes = {
   "aes-128-cbc": 16,
   "aes-192-cbc": 24,
   "aes-256-cbc": 32,
+  "aes-128-gcm": 16,
+  "aes-256-gcm": 32,
+  "chacha20-poly1305": 32,
+};
+
+/**
+ * Algorithms that authenticate the message using the cipher's own tag.
+ * Keys for these algorithms are not split into signing/encryption halves.
+ *
+ * @constant
+ * @type {Array}
+ */
+const aeadAlgorithms = ["aes-128-gcm", "aes-256-gcm", "chacha20-poly1305"];
+
+/**
+ * IV (nonce) size used by AEAD algorithms.
+ *
+ * @constant
+ * @type {Number}
+ */
+const aeadIvSize = 12;
+
+/**
+ * Authentication tag size used by AEAD algorithms.
+ *
+ * @constant
+ * @type {Number}
+ */
+const authTagSize = 16;
+
+/**
+ * Current version of the ciphertext envelope generated by encrypt().
+ * Version 0 is the original `base64(hmac + iv + encrypted)` format, which
+ * carries no metadata and is still accepted by decrypt().
+ * Version 1 records the algorithm and keyring id; version 2 also records
+ * the value type.
+ *
+ * @constant
+ * @type {Number}
+ */
+const envelopeVersion = 2;
+
+/**
+ * Number of `:`-separated fields in each envelope version, including the
+ * version itself and the payload.
+ *
+ * @constant
+ * @type {Object}
+ */
+const envelopeFields = { 1: 4, 2: 5 };
+
+/**
+ * Version of the field envelopes generated by encryptObject(), recorded as
+ * their `_keyring` property. Only objects with this marker are treated as
+ * envelopes, so a plain value that happens to have an `_encrypted` property
+ * is still encrypted.
+ *
+ * @constant
+ * @type {Number}
+ */
+const fieldEnvelopeVersion = 1;
+
+/**
+ * Value types recorded by the envelope, so decrypt() returns the same type
+ * that was encrypted.
+ *
+ * @constant
+ * @type {Array}
+ */
+const valueTypes = ["string", "buffer", "number", "boolean", "date", "json"];
+
+/**
+ * Key lifecycle states.
+ * - `active`: used for encryption and decryption.
+ * - `decrypt-only`: only used for decryption, e.g. retired keys or keys being
+ *   staged before they're used for encryption.
+ * - `disabled`: refuses to decrypt.
+ *
+ * @constant
+ * @type {Array}
+ */
+const keyStates = ["active", "decrypt-only", "disabled"];
+
+/**
+ * Current version of the stream format generated by createEncryptStream().
+ *
+ * @constant
+ * @type {Number}
+ */
+const streamVersion = 1;
+
+/**
+ * Default size of the plaintext chunks in encrypted streams.
+ *
+ * @constant
+ * @type {Number}
+ */
+const defaultChunkSize = 64 * 1024;
+
+/**
+ * Default maximum size of the plaintext chunks accepted by decrypt streams.
+ *
+ * @constant
+ * @type {Number}
+ */
+const defaultMaxChunkSize = 16 * 1024 * 1024;
+
+/**
+ * Number of batch items processed before yielding to the event loop, when
+ * there's no worker pool.
+ *
+ * @constant
+ * @type {Number}
+ */
+const batchSliceSize = 500;
+
+/**
+ * Supported key formats: `split` secrets are the signing key followed by the
+ * encryption key; `hkdf` secrets are 32-byte master keys expanded with HKDF.
+ *
+ * @constant
+ * @type {Array}
+ */
+const keyFormats = ["split", "hkdf"];
+
+/**
+ * Size of the master secret of `hkdf` keys.
+ *
+ * @constant
+ * @type {Number}
+ */
+const masterKeySize = 32;
+
+/**
+ * Default parameters of the supported key derivation functions.
+ *
+ * @constant
+ * @type {Object}
+ */
+const kdfDefaults = {
+  scrypt: { N: 32768, r: 8, p: 1 },
+  pbkdf2: { iterations: 600000, digest: "sha256" },
 };
 
 /**
@@ -34,108 +184,1662 @@ const keySizes = {
 const missingSaltError =
   "Kindly include the salt option; to avoid this error, you can explicitly pass an empty string..";
 
+/**
+ * Base class of the errors thrown by the keyring, so they can be told apart
+ * from other errors.
+ *
+ * @public
+ */
+
+class KeyringError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Thrown when the keyring, its keys or its options are invalid.
+ *
+ * @public
+ */
+
+class ConfigurationError extends KeyringError {}
+
+/**
+ * Thrown when the key a message was encrypted with isn't on the keyring, or
+ * can't be used (e.g. it's disabled).
+ *
+ * @public
+ */
+
+class KeyNotFoundError extends KeyringError {
+  constructor(message, { keyId, state } = {}) {
+    super(message);
+    this.keyId = keyId;
+    this.state = state;
+  }
+}
+
+/**
+ * Thrown when a message fails authentication: it was modified, truncated, or
+ * encrypted with another key or context.
+ *
+ * @public
+ */
+
+class IntegrityError extends KeyringError {}
+
+/**
+ * Thrown when a message isn't a well-formed ciphertext.
+ *
+ * @public
+ */
+
+class MalformedCiphertextError extends KeyringError {}
+
 /**
  * Create a new keyring.
  * A keyring constitutes a collection of keys and associated functions designed for encryption and decryption purposes.
  *
- * @public
- * @param  {array}   keys                The encryption keys as described.
- * @param  {Object}  options             The keyring options.
- * @param  {String}  options.encryption  The encryption algorithm.
- *                                       Can be `aes-128-cbc`, `aes-192-cbc` or `aes-256-cbc`.
- * @param  {String}  options.salt        Any arbitrary string that will be appended to the message during the SHA1 generation.
- * @return {String}                      An object containing functions for encryption/decryption.
+ * When `keys` is a key provider (see providers.js), keys are loaded asynchronously
+ * and a promise resolving to the keyring is returned instead.
+ *
+ * @public
+ * @param  {array}    keys                 The encryption keys as described, or a key provider.
+ *                                         Each key is either the base64-encoded key or an object
+ *                                         like `{ key, format, state, notBefore, expiresAt }`.
+ * @param  {Object}   options              The keyring options.
+ * @param  {String}   options.encryption   The encryption algorithm.
+ *                                         Can be `aes-128-cbc`, `aes-192-cbc`, `aes-256-cbc`,
+ *                                         `aes-128-gcm`, `aes-256-gcm` or `chacha20-poly1305`.
+ * @param  {Array}    options.decryption   The algorithms messages can be decrypted with. Defaults to
+ *                                         `encryption` only; see keyMaterial().
+ * @param  {String}   options.salt         Any arbitrary string that will be appended to the message during the SHA1 generation.
+ *                                         Only required when `indexKeys` is not set.
+ * @param  {Object}   options.indexKeys    The blind index keys, a map of integer ids to base64-encoded 32-byte keys
+ *                                         (or `{ key, format }` objects).
+ *                                         When set, digests are generated using HMAC-SHA256 instead of SHA1.
+ * @param  {Number}   options.activeId     Pin the key used for encryption. Defaults to the
+ *                                         active key with the largest id.
+ * @param  {Function} options.onOperation  Called after each encryption and decryption with an
+ *                                         event describing it, but never the plaintext; see
+ *                                         observe() and usageCounter().
+ * @param  {Object}   options.pool         The worker pool used by batch and async operations;
+ *                                         see workerPool() in workers.js.
+ * @return {String}                        An object containing functions for encryption/decryption.
+ */
+
+const keyring = (keys, options = {}) => {
+  if (isProvider(keys)) return providerKeyring(keys, options);
+
+  options = Object.assign({}, defaultKeyringOptions, options);
+
+  if (!options.indexKeys) options.indexKeys = masterIndexKeys(keys);
+
+  if (options.salt === undefined && !options.indexKeys)
+    throw new ConfigurationError(missingSaltError);
+
+  // What worker threads need to build the same keyring.
+  const source = {
+    keys,
+    options: {
+      encryption: options.encryption,
+      decryption: options.decryption,
+      salt: options.salt,
+      indexKeys: options.indexKeys,
+      activeId: options.activeId,
+    },
+  };
+
+  const keySize = keySizes[options.encryption];
+
+  if (!keySize)
+    throw new ConfigurationError(
+      `Encryption algorithm not recognized or unsupported: ${options.encryption}`
+    );
+
+  options.decryption = decryptionAlgorithms(options);
+
+  keys = normalizeKeys(keys, options.encryption);
+  options.indexKeys = normalizeIndexKeys(options.indexKeys || {});
+  validateKeyring(keys, options);
+
+  const encryptItem = ({ message, context, deterministic }) =>
+    observe(options, "encrypt", context, (event) =>
+      encrypt(keys, options, message, context, { deterministic }, event)
+    );
+  const decryptItem = ({ message, keyringId, context }) =>
+    observe(options, "decrypt", context, (event) =>
+      decrypt(keys, options, message, keyringId, context, event)
+    );
+  const encryptMany = (items) =>
+    runMany(options, source, "encrypt", items, encryptItem);
+  const decryptMany = (items) =>
+    runMany(options, source, "decrypt", items, decryptItem);
+
+  return {
+    encrypt: (message, context, encryptOptions) =>
+      encryptItem({ message, context, ...encryptOptions }),
+    decrypt: (message, keyringId, context) =>
+      decryptItem({ message, keyringId, context }),
+    encryptMany,
+    decryptMany,
+    encryptAsync: async (message, context, encryptOptions) =>
+      unwrapResult(
+        await encryptMany([{ message, context, ...encryptOptions }])
+      ),
+    decryptAsync: async (message, keyringId, context) =>
+      unwrapResult(await decryptMany([{ message, keyringId, context }])),
+    encryptObject: (object, objectOptions) =>
+      encryptObject(encryptItem, object, objectOptions),
+    decryptObject: (object, objectOptions) =>
+      decryptObject(decryptItem, object, objectOptions),
+    ciphertexts: (message, context) =>
+      deterministicMessages(keys, options, message, context),
+    digest: (message) => computeDigest(message, options),
+    digests: (message) => candidateDigests(message, options),
+    digestKeyId: (digest) => digestKeyId(digest),
+    currentId: () => activeKey(keys, options).id,
+    createEncryptStream: (streamOptions = {}) =>
+      observeStream(options, "encrypt-stream", streamOptions, (event) =>
+        createEncryptStream(keys, options, streamOptions, event)
+      ),
+    createDecryptStream: (streamOptions = {}) =>
+      observeStream(options, "decrypt-stream", streamOptions, (event) =>
+        createDecryptStream(keys, options, streamOptions, event)
+      ),
+  };
+};
+
+/**
+ * Create a keyring backed by a key provider.
+ * The returned keyring always uses the latest keys loaded by the provider;
+ * if reloading fails, the previous keys are kept and `options.onReloadError`
+ * is called.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Object}  provider  The key provider.
+ * @param  {Object}  options   The keyring options as described by keyring().
+ * @return {Promise}           A promise resolving to the keyring, which also has a
+ *                             `close()` function to stop watching for changes.
+ */
+
+const providerKeyring = async (provider, options) => {
+  let current = keyring(await provider.load(), options);
+
+  const delegate = Object.keys(current).reduce((object, name) => {
+    object[name] = (...args) => current[name](...args);
+    return object;
+  }, {});
+
+  const onError = (error) => {
+    if (options.onReloadError) options.onReloadError(error);
+  };
+
+  const onChange = (keys) => {
+    try {
+      current = keyring(keys, options);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  const unwatch = provider.watch ? provider.watch(onChange, onError) : () => {};
+
+  delegate.close = () => unwatch();
+
+  return delegate;
+};
+
+/**
+ * Create an in-memory counter of the operations reported by keyrings, to be
+ * used as their `onOperation` hook. Its report shows which keys are still
+ * being used for decryption, i.e. whether an old key can be removed.
+ *
+ * ```js
+ * const usage = usageCounter();
+ * const encryptor = keyring(keys, { salt, onOperation: usage.record });
+ *
+ * usage.report();
+ * //=> { 1: { encrypt: 0, decrypt: 12, failures: 1, lastDecryptedAt: Date } }
+ * ```
+ *
+ * @public
+ * @return {Object}  The counter, with `record(event)`, `report()` and `reset()` functions.
+ */
+
+const usageCounter = () => {
+  let usage = {};
+
+  const record = (event) => {
+    if (event.keyId === undefined || isNaN(event.keyId)) return;
+
+    const entry = (usage[event.keyId] = usage[event.keyId] || {
+      encrypt: 0,
+      decrypt: 0,
+      failures: 0,
+      lastDecryptedAt: undefined,
+    });
+
+    if (event.error) {
+      entry.failures += 1;
+    } else if (event.operation.startsWith("encrypt")) {
+      entry.encrypt += 1;
+    } else {
+      entry.decrypt += 1;
+      entry.lastDecryptedAt = new Date();
+    }
+  };
+
+  return {
+    record,
+    report: () =>
+      Object.keys(usage).reduce((buffer, id) => {
+        buffer[id] = { ...usage[id] };
+        return buffer;
+      }, {}),
+    reset: () => {
+      usage = {};
+    },
+  };
+};
+
+/**
+ * Check if `object` is a key provider, i.e. has a `load()` function.
+ *
+ * @public
+ * @param  {Object}  object  The object that will be checked.
+ * @return {Boolean}
+ */
+
+const isProvider = (object) =>
+  Boolean(object) && typeof object.load === "function";
+
+/**
+ * Generate a random key for the given algorithm.
+ * CBC keys are twice the algorithm's key size, as half of the key is used
+ * for the HMAC. With the `hkdf` format, a 32-byte master key is generated
+ * instead, as a keyring entry.
+ *
+ * @public
+ * @param  {String} encryption      The encryption algorithm.
+ * @param  {Object} options
+ * @param  {String} options.format  The key format: `split` (default) or `hkdf`.
+ * @return {String|Object}          The base64-encoded key, or the `{ key, format }` entry.
+ */
+
+const generateKey = (
+  encryption = defaultKeyringOptions.encryption,
+  { format = "split" } = {}
+) => {
+  const keySize = keySizes[encryption];
+
+  if (!keySize)
+    throw new ConfigurationError(
+      `Encryption algorithm not recognized or unsupported: ${encryption}`
+    );
+
+  if (format === "hkdf")
+    return {
+      key: crypto.randomBytes(masterKeySize).toString("base64"),
+      format,
+    };
+
+  const size = isAEAD(encryption) ? keySize : keySize * 2;
+
+  return crypto.randomBytes(size).toString("base64");
+};
+
+/**
+ * Derive a key for the given algorithm from a passphrase.
+ * The passphrase is stretched with scrypt (or PBKDF2) into a master key, which
+ * is expanded with HKDF into separate encryption and signing subkeys.
+ *
+ * The returned entry can be added to the keyring as is. Its `derivation`
+ * records the KDF parameters and salt, but no secret, so it can be stored
+ * and passed back to deriveKeys() to derive the same key again.
+ *
+ * @public
+ * @param  {String} passphrase          The passphrase.
+ * @param  {Object} options
+ * @param  {String} options.kdf         The key derivation function: `scrypt` or `pbkdf2`.
+ * @param  {Object} options.params      The KDF parameters (`N`, `r` and `p` for scrypt;
+ *                                      `iterations` and `digest` for PBKDF2).
+ * @param  {String} options.salt        The base64-encoded salt. Defaults to 16 random bytes.
+ * @param  {String} options.encryption  The encryption algorithm.
+ * @return {Promise}                    Resolves to the `{ key, derivation }` keyring entry.
+ */
+
+const deriveKeys = async (
+  passphrase,
+  {
+    kdf = "scrypt",
+    params,
+    salt,
+    encryption = defaultKeyringOptions.encryption,
+  } = {}
+) => {
+  const keySize = keySizes[encryption];
+
+  if (!keySize)
+    throw new ConfigurationError(
+      `Encryption algorithm not recognized or unsupported: ${encryption}`
+    );
+
+  if (!kdfDefaults[kdf])
+    throw new ConfigurationError(
+      `Key derivation function not recognized or unsupported: ${kdf}`
+    );
+
+  if (!isString(passphrase) || passphrase.length === 0)
+    throw new ConfigurationError("Passphrase must be a non-empty string");
+
+  const kdfParams = { ...kdfDefaults[kdf], ...params };
+  const kdfSalt = salt === undefined ? crypto.randomBytes(16) : keyBuffer(salt);
+  const masterKey = await stretchPassphrase(
+    kdf,
+    passphrase,
+    kdfSalt,
+    kdfParams
+  );
+  const subkey = (purpose) =>
+    Buffer.from(
+      crypto.hkdfSync(
+        "sha256",
+        masterKey,
+        kdfSalt,
+        `keyring:${encryption}:${purpose}`,
+        keySize
+      )
+    );
+  const key = isAEAD(encryption)
+    ? subkey("encryption")
+    : Buffer.concat([subkey("signing"), subkey("encryption")]);
+
+  return {
+    key: key.toString("base64"),
+    derivation: {
+      kdf,
+      params: kdfParams,
+      salt: kdfSalt.toString("base64"),
+      encryption,
+    },
+  };
+};
+
+/**
+ * Stretch the passphrase into a 32-byte master key.
+ *
+ * @private This function is used by deriveKeys().
+ *
+ * @param  {String} kdf         The key derivation function.
+ * @param  {String} passphrase  The passphrase.
+ * @param  {Buffer} salt        The salt.
+ * @param  {Object} params      The KDF parameters.
+ * @return {Promise}            Resolves to the master key.
+ */
+
+const stretchPassphrase = (kdf, passphrase, salt, params) =>
+  new Promise((resolve, reject) => {
+    const callback = (error, key) => (error ? reject(error) : resolve(key));
+
+    if (kdf === "pbkdf2")
+      return crypto.pbkdf2(
+        passphrase,
+        salt,
+        params.iterations,
+        32,
+        params.digest,
+        callback
+      );
+
+    const { N, r, p } = params;
+
+    // Node's default memory limit is too low for the recommended parameters.
+    crypto.scrypt(
+      passphrase,
+      salt,
+      32,
+      { N, r, p, maxmem: Math.max(32 * 1024 * 1024, 256 * N * r * p) },
+      callback
+    );
+  });
+
+/**
+ * Encrypt a value using the current key.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Array}  keys     The array of encryption keys.
+ * @param  {Object} options  The keyring options as described by keyring().
+ * @param  {Object} message  The value that will be encrypted: a string, Buffer, number,
+ *                           boolean, Date, or a JSON-serializable object or array.
+ * @param  {Object} context  Optional context (e.g. table, column and primary key) that
+ *                           will be authenticated along with the message.
+ * @param  {Object} encryptOptions
+ * @param  {Boolean} encryptOptions.deterministic  Derive the IV from the message; see sealValue().
+ * @param  {Object} event    The operation event, which records the key and size.
+ * @return {Array}           A three-item array representing the encrypted value, the digest, and the keyring ID, respectively.
+ */
+
+const encrypt = (
+  keys,
+  options,
+  message,
+  context,
+  { deterministic = false } = {},
+  event = {}
+) => {
+  const { encryption } = options;
+  const key = activeKey(keys, options);
+
+  event.keyId = key.id;
+  event.encryption = encryption;
+
+  const { type, buffer } = serializeValue(message);
+
+  event.bytes = buffer.length;
+
+  const returnValue = sealValue(key, encryption, type, buffer, context, {
+    deterministic,
+  });
+  const digest = computeDigest(message, options);
+
+  return [returnValue, key.id, digest];
+};
+
+/**
+ * Encrypt the serialized value, returning the versioned message.
+ *
+ * With `deterministic`, the IV is derived from the header, context and value
+ * using HMAC-SHA256 (a synthetic IV), instead of being random. The same value
+ * encrypted with the same key and context always produces the same message, so
+ * messages can be compared for equality (e.g. in unique indexes or lookups).
+ * That's also what it leaks: anyone who can see messages knows which ones hold
+ * the same value, and can count how often each value occurs.
+ *
+ * @private This function is used by encrypt() and deterministicMessages().
+ *
+ * @param  {Object}  key                    The encryption key.
+ * @param  {String}  encryption             The encryption algorithm.
+ * @param  {String}  type                   The value type.
+ * @param  {Buffer}  buffer                 The serialized value.
+ * @param  {Object}  context                The context.
+ * @param  {Object}  sealOptions
+ * @param  {Boolean} sealOptions.deterministic  Whether to use a synthetic IV.
+ * @return {String}                         The encrypted message.
+ */
+
+const sealValue = (
+  key,
+  encryption,
+  type,
+  buffer,
+  context,
+  { deterministic }
+) => {
+  const header = envelopeHeader(encryption, key.id, type);
+  const aad = additionalData(header, context);
+  const iv = deterministic
+    ? syntheticIv(key, encryption, aad, buffer)
+    : undefined;
+  const encrypted = isAEAD(encryption)
+    ? encryptAEAD(key, encryption, buffer, aad, iv)
+    : encryptCBC(key, encryption, buffer, aad, iv);
+
+  return `${header}:${encrypted.toString("base64")}`;
+};
+
+/**
+ * Derive the IV from the additional data and the value.
+ * The HMAC key is derived from the raw secret with HKDF, so it's independent
+ * of the encryption and signing keys.
+ *
+ * @private This function is used by sealValue().
+ *
+ * @param  {Object} key         The encryption key.
+ * @param  {String} encryption  The encryption algorithm.
+ * @param  {Buffer} aad         The additional authenticated data.
+ * @param  {Buffer} buffer      The serialized value.
+ * @return {Buffer}             The IV.
+ */
+
+const syntheticIv = (key, encryption, aad, buffer) => {
+  const length = Buffer.alloc(8);
+
+  length.writeBigUInt64BE(BigInt(aad.length));
+
+  return hmacDigest(
+    hkdf(key.secret, `keyring:${encryption}:synthetic-iv`, 32),
+    Buffer.concat([length, aad, buffer])
+  ).subarray(0, isAEAD(encryption) ? aeadIvSize : 16);
+};
+
+/**
+ * Return the deterministic messages of a value under every key that can
+ * decrypt it, the current key first. Use this list to look up records by
+ * their deterministic messages, even those encrypted before a key rotation.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Array}  keys     The array of encryption keys.
+ * @param  {Object} options  The keyring options as described by keyring().
+ * @param  {Object} message  The value.
+ * @param  {Object} context  The context the messages are bound to.
+ * @return {Array}           List of messages.
+ */
+
+const deterministicMessages = (keys, options, message, context) => {
+  const { encryption } = options;
+  const { type, buffer } = serializeValue(message);
+  const current = activeKey(keys, options);
+  const others = keys
+    .filter((key) => key !== current && key.state !== "disabled")
+    .sort((a, b) => b.id - a.id);
+
+  return [current, ...others].map((key) =>
+    sealValue(key, encryption, type, buffer, context, { deterministic: true })
+  );
+};
+
+/**
+ * Decrypt a message.
+ * Versioned messages carry their own algorithm and keyring id; version 0
+ * messages use the keyring's algorithm and require the keyring id.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Array}  keys       The array of encryption keys.
+ * @param  {Object} options    The keyring options as described by keyring().
+ * @param  {String} message    The encrypted message.
+ * @param  {Number} keyringId  The keyring id. Only required for version 0 messages.
+ * @param  {Object} context    The context used when the message was encrypted.
+ *                             Version 0 messages have no context, so it's ignored.
+ * @param  {Object} event      The operation event, which records the key and size.
+ * @return {Object}            The decrypted value, using the type it was encrypted with.
+ *                             Version 0 and 1 messages are always strings.
+ */
+
+const decrypt = (keys, options, message, keyringId, context, event = {}) => {
+  const envelope = parseEnvelope(message, options, keyringId, context);
+  const { encryption, aad, payload, type } = envelope;
+
+  event.keyId = parseInt(envelope.keyringId, 10);
+  event.encryption = encryption;
+  const key = keyMaterial(
+    decryptionKey(keys, envelope.keyringId),
+    options,
+    encryption
+  );
+
+  const decrypted = isAEAD(encryption)
+    ? decryptAEAD(key, encryption, payload, aad)
+    : decryptCBC(key, encryption, payload, aad);
+
+  event.bytes = decrypted.length;
+
+  return deserializeValue(type, decrypted);
+};
+
+/**
+ * Encrypt the selected fields of an object, replacing each of them with a
+ * `{ _keyring, _encrypted, keyringId, digest }` envelope.
+ *
+ * Fields are dotted paths, where `*` matches any key or array index, and `**`
+ * matches any number of them (e.g. `user.email`, `items.*.ssn` or `**.ssn`).
+ * A field holding an object or array is encrypted as a whole. `null` and
+ * `undefined` values are left as they are.
+ *
+ * Each value is bound to its field (with array indexes as `*`), so envelopes
+ * can't be moved to another field.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Function}      encryptItem            Encrypts a `{ message, context }` item.
+ * @param  {Object}        object                 The object.
+ * @param  {Object}        objectOptions
+ * @param  {Array}         objectOptions.fields   The fields to encrypt.
+ * @param  {Boolean|Array} objectOptions.digest   Include digests in all envelopes, or in
+ *                                                the envelopes of the given fields.
+ * @param  {Object}        objectOptions.context  The context bound to all fields.
+ * @return {Object}                               A copy of the object with encrypted fields.
+ */
+
+const encryptObject = (
+  encryptItem,
+  object,
+  { fields, digest = false, context } = {}
+) => {
+  if (!Array.isArray(fields) || fields.length === 0)
+    throw new ConfigurationError("encryptObject() requires a list of fields");
+
+  const patterns = fields.map(fieldPattern);
+  const digestPatterns =
+    digest === true ? patterns : (digest || []).map(fieldPattern);
+  const selected = (list, path) =>
+    list.some((pattern) => matchesField(pattern, path));
+
+  return walkFields(object, [], (value, path) => {
+    if (!selected(patterns, path) || isFieldEnvelope(value)) return undefined;
+    if (value === null || value === undefined) return { value };
+
+    const [encrypted, keyringId, valueDigest] = encryptItem({
+      message: value,
+      context: fieldContext(context, path),
+    });
+    const envelope = {
+      _keyring: fieldEnvelopeVersion,
+      _encrypted: encrypted,
+      keyringId,
+    };
+
+    if (selected(digestPatterns, path)) envelope.digest = valueDigest;
+
+    return { value: envelope };
+  });
+};
+
+/**
+ * Decrypt all field envelopes generated by encryptObject().
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Function} decryptItem            Decrypts a `{ message, keyringId, context }` item.
+ * @param  {Object}   object                 The object.
+ * @param  {Object}   objectOptions
+ * @param  {Object}   objectOptions.context  The context the fields were bound to.
+ * @return {Object}                          A copy of the object with decrypted fields.
+ */
+
+const decryptObject = (decryptItem, object, { context } = {}) =>
+  walkFields(object, [], (value, path) => {
+    if (!isFieldEnvelope(value)) return undefined;
+
+    return {
+      value: decryptItem({
+        message: value._encrypted,
+        keyringId: value.keyringId,
+        context: fieldContext(context, path),
+      }),
+    };
+  });
+
+/**
+ * Copy the object, replacing the values returned by `visit(value, path)`.
+ * Visit returns `{ value }` to replace a value, or `undefined` to keep
+ * walking through it.
+ *
+ * @private This function is used by encryptObject() and decryptObject().
+ *
+ * @param  {Object}   node   The current value.
+ * @param  {Array}    path   The keys and indexes leading to it.
+ * @param  {Function} visit  The visitor.
+ * @return {Object}          The copied value.
+ */
+
+const walkFields = (node, path, visit) => {
+  const replaced = path.length > 0 ? visit(node, path) : undefined;
+
+  if (replaced) return replaced.value;
+
+  if (Array.isArray(node))
+    return node.map((item, index) => walkFields(item, [...path, index], visit));
+
+  if (!isPlainObject(node) || isFieldEnvelope(node)) return node;
+
+  return Object.keys(node).reduce((buffer, key) => {
+    buffer[key] = walkFields(node[key], [...path, key], visit);
+    return buffer;
+  }, {});
+};
+
+/**
+ * Parse a field pattern like `items.*.ssn`.
+ *
+ * @private This function is used by encryptObject().
+ *
+ * @param  {String} field  The field pattern.
+ * @return {Array}         The pattern segments.
+ */
+
+const fieldPattern = (field) => {
+  if (!isString(field) || field === "" || field.split(".").includes(""))
+    throw new ConfigurationError(`Invalid field: ${field}`);
+
+  return field.split(".");
+};
+
+/**
+ * Check if the field path matches the pattern.
+ *
+ * @private This function is used by encryptObject().
+ *
+ * @param  {Array}   pattern  The pattern segments.
+ * @param  {Array}   path     The field path.
+ * @return {Boolean}
+ */
+
+const matchesField = (pattern, path) => {
+  if (pattern.length === 0) return path.length === 0;
+
+  const [head, ...rest] = pattern;
+
+  if (head === "**")
+    return (
+      matchesField(rest, path) ||
+      (path.length > 0 && matchesField(pattern, path.slice(1)))
+    );
+
+  return (
+    path.length > 0 &&
+    (head === "*" || head === String(path[0])) &&
+    matchesField(rest, path.slice(1))
+  );
+};
+
+/**
+ * Return the context bound to a field: the object's context plus the field,
+ * with array indexes replaced by `*`.
+ *
+ * @private This function is used by encryptObject() and decryptObject().
+ *
+ * @param  {Object} context  The object's context.
+ * @param  {Array}  path     The field path.
+ * @return {Object}          The field's context.
+ */
+
+const fieldContext = (context, path) => {
+  if (context !== undefined && !isPlainObject(context))
+    throw new ConfigurationError("Object context must be a plain object");
+
+  const field = path
+    .map((segment) => (typeof segment === "number" ? "*" : segment))
+    .join(".");
+
+  return { ...context, field };
+};
+
+/**
+ * Check if `value` is a field envelope generated by encryptObject().
+ *
+ * @private This function is used by encryptObject(), decryptObject() and walkFields().
+ *
+ * @param  {Object}  value  The value.
+ * @return {Boolean}
+ */
+
+const isFieldEnvelope = (value) =>
+  isPlainObject(value) &&
+  value._keyring === fieldEnvelopeVersion &&
+  isString(value._encrypted);
+
+/**
+ * Check if `value` is a plain object.
+ *
+ * @private
+ *
+ * @param  {Object}  value  The value.
+ * @return {Boolean}
+ */
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+/**
+ * Run a batch of encryptions or decryptions.
+ * With a worker pool, the batch is spread across worker threads; otherwise,
+ * items are processed in slices, yielding to the event loop in between.
+ * A failed item doesn't fail the batch: its result has the `error` instead.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Object}   options    The keyring options as described by keyring().
+ * @param  {Object}   source     The raw keys and options sent to worker threads.
+ * @param  {String}   operation  The operation: `encrypt` or `decrypt`.
+ * @param  {Array}    items      The `{ message, keyringId, context }` items.
+ * @param  {Function} run        Runs the operation for an item on this thread.
+ * @return {Promise}             Resolves to the `{ value }` or `{ error }` results, in input order.
+ */
+
+const runMany = async (options, source, operation, items, run) => {
+  if (!Array.isArray(items))
+    throw new TypeError(`Expected ${operation}Many() items to be an array`);
+
+  if (options.pool) {
+    const { results, events } = await options.pool.run({
+      operation,
+      source,
+      items,
+      observed: Boolean(options.onOperation),
+    });
+
+    if (options.onOperation)
+      events.forEach((event) => notifyOperation(options, event));
+
+    return results;
+  }
+
+  const results = [];
+
+  for (let start = 0; start < items.length; start += batchSliceSize) {
+    if (start > 0) await new Promise((resolve) => setImmediate(resolve));
+
+    items.slice(start, start + batchSliceSize).forEach((item) => {
+      try {
+        results.push({ value: run(item) });
+      } catch (error) {
+        results.push({ error });
+      }
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Return the value of a single-item batch, or throw its error.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Array}  results  The batch results.
+ * @return {Object}          The value.
+ */
+
+const unwrapResult = ([{ value, error }]) => {
+  if (error) throw error;
+
+  return value;
+};
+
+/**
+ * Run an encryption or decryption operation, then report it to the
+ * `onOperation` hook.
+ *
+ * The event has the `operation`, the `keyId` and `encryption` algorithm used,
+ * the plaintext size in `bytes`, the `context` and the `duration` in
+ * milliseconds. Failed operations also have an `error` with its `reason` and
+ * `message`. Events never include the plaintext.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Object}   options    The keyring options as described by keyring().
+ * @param  {String}   operation  The operation: `encrypt` or `decrypt`.
+ * @param  {Object}   context    The operation's context.
+ * @param  {Function} run        Runs the operation, recording the key and size in the event.
+ * @return {Object}              The operation's result.
+ */
+
+const observe = (options, operation, context, run) => {
+  if (!options.onOperation) return run({});
+
+  const event = { operation, context };
+  const start = process.hrtime.bigint();
+  let result;
+
+  try {
+    result = run(event);
+  } catch (error) {
+    reportOperation(options, event, start, error);
+    throw error;
+  }
+
+  reportOperation(options, event, start);
+
+  return result;
+};
+
+/**
+ * Create an encrypt or decrypt stream, and report it to the `onOperation` hook
+ * once it ends or fails; see observe().
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Object}   options        The keyring options as described by keyring().
+ * @param  {String}   operation      The operation: `encrypt-stream` or `decrypt-stream`.
+ * @param  {Object}   streamOptions  The stream options.
+ * @param  {Function} create         Creates the stream, recording the key and size in the event.
+ * @return {Transform}               The stream.
+ */
+
+const observeStream = (options, operation, streamOptions, create) => {
+  if (!options.onOperation) return create({});
+
+  const event = { operation, context: streamOptions.context };
+  const start = process.hrtime.bigint();
+  let stream;
+
+  try {
+    stream = create(event);
+  } catch (error) {
+    reportOperation(options, event, start, error);
+    throw error;
+  }
+
+  stream.once("end", () => reportOperation(options, event, start));
+  stream.once("error", (error) =>
+    reportOperation(options, event, start, error)
+  );
+
+  return stream;
+};
+
+/**
+ * Call the `onOperation` hook with the completed event.
+ *
+ * @private This function is used by observe() and observeStream().
+ *
+ * @param  {Object} options  The keyring options as described by keyring().
+ * @param  {Object} event    The operation event.
+ * @param  {BigInt} start    When the operation started, from `process.hrtime.bigint()`.
+ * @param  {Error}  error    The error, when the operation failed.
+ */
+
+const reportOperation = (options, event, start, error) => {
+  event.duration = Number(process.hrtime.bigint() - start) / 1e6;
+
+  if (error)
+    event.error = { reason: failureReason(error), message: error.message };
+
+  notifyOperation(options, event);
+};
+
+/**
+ * Call the `onOperation` hook, reporting its exceptions as warnings so a
+ * failing hook never breaks the operation itself.
+ *
+ * @private This function is used by runMany() and reportOperation().
+ *
+ * @param  {Object} options  The keyring options as described by keyring().
+ * @param  {Object} event    The operation event.
+ */
+
+const notifyOperation = (options, event) => {
+  try {
+    options.onOperation(event);
+  } catch (error) {
+    process.emitWarning(
+      `The onOperation hook failed for ${event.operation}: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Classify an operation error.
+ *
+ * @private This function is used by reportOperation().
+ *
+ * @param  {Error}  error  The error.
+ * @return {String}        `hmac-mismatch` when the message failed authentication,
+ *                         `unknown-key`, `disabled-key`, `malformed`, `configuration`
+ *                         or `error`.
+ */
+
+const failureReason = (error) => {
+  if (error instanceof IntegrityError) return "hmac-mismatch";
+
+  if (error instanceof KeyNotFoundError)
+    return error.state === "disabled" ? "disabled-key" : "unknown-key";
+
+  if (error instanceof MalformedCiphertextError) return "malformed";
+  if (error instanceof ConfigurationError) return "configuration";
+
+  return "error";
+};
+/**
+ * Build the envelope header, which is also authenticated along with the
+ * encrypted message.
+ *
+ * @private This function is used by encrypt().
+ *
+ * @param  {String} encryption  The encryption algorithm.
+ * @param  {Number} keyringId   The keyring id.
+ * @param  {String} type        The value type.
+ * @return {String}             The header in the `v<version>:<encryption>:<keyringId>:<type>` format.
+ */
+
+const envelopeHeader = (encryption, keyringId, type) =>
+  `v${envelopeVersion}:${encryption}:${keyringId}:${type}`;
+
+/**
+ * Serialize the value that will be encrypted, recording its type.
+ *
+ * @private This function is used by encrypt() and digestInput().
+ *
+ * @param  {Object} value  The value.
+ * @return {Object}        The value type and its serialized buffer.
+ */
+
+const serializeValue = (value) => {
+  if (isString(value)) return { type: "string", buffer: Buffer.from(value) };
+
+  if (value instanceof Uint8Array)
+    return { type: "buffer", buffer: Buffer.from(value) };
+
+  if (typeof value === "number")
+    return { type: "number", buffer: Buffer.from(String(value)) };
+
+  if (typeof value === "boolean")
+    return { type: "boolean", buffer: Buffer.from(String(value)) };
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) throw new Error("Cannot encrypt invalid dates");
+
+    return { type: "date", buffer: Buffer.from(value.toISOString()) };
+  }
+
+  if (Array.isArray(value) || isPlainObject(value))
+    return { type: "json", buffer: Buffer.from(JSON.stringify(value)) };
+
+  throw new Error(
+    `Cannot encrypt values of type "${value === null ? "null" : typeof value}"`
+  );
+};
+
+/**
+ * Convert the decrypted buffer back to the type it was encrypted with.
+ *
+ * @private This function is used by decrypt().
+ *
+ * @param  {String} type    The value type.
+ * @param  {Buffer} buffer  The decrypted buffer.
+ * @return {Object}         The value.
+ */
+
+const deserializeValue = (type, buffer) => {
+  switch (type) {
+    case "buffer":
+      return buffer;
+    case "number":
+      return Number(buffer.toString());
+    case "boolean":
+      return buffer.toString() === "true";
+    case "date":
+      return new Date(buffer.toString());
+    case "json":
+      return JSON.parse(buffer.toString());
+    default:
+      return buffer.toString();
+  }
+};
+
+/**
+ * Build the additional authenticated data from the envelope header and the
+ * optional context.
+ * The header never contains a trailing colon, so `header:context` can't be
+ * confused with a different header.
+ *
+ * @private This function is used by encrypt() and parseEnvelope().
+ *
+ * @param  {String} header   The envelope header.
+ * @param  {Object} context  The context as a string or a plain object.
+ * @return {Buffer}          The additional authenticated data.
+ */
+
+const additionalData = (header, context) => {
+  const serialized = serializeContext(context);
+
+  if (serialized === "") return Buffer.from(header);
+
+  return Buffer.from(`${header}:${serialized}`);
+};
+
+/**
+ * Serialize the context in a stable way.
+ * Object keys are sorted and values are converted to strings, so
+ * `{ id: 1 }` and `{ id: "1" }` are the same context. Values must be
+ * primitives: objects would all be converted to `[object Object]`, and
+ * therefore wouldn't be bound at all.
+ *
+ * @private This function is used by additionalData().
+ *
+ * @param  {Object} context  The context as a string or a plain object.
+ * @return {String}          The serialized context.
+ */
+
+const serializeContext = (context) => {
+  if (context === undefined || context === null) return "";
+  if (isString(context)) return String(context);
+
+  if (!isPlainObject(context))
+    throw new ConfigurationError("Context must be a string or a plain object");
+
+  return JSON.stringify(
+    Object.keys(context)
+      .sort()
+      .map((name) => {
+        if (!isContextValue(context[name]) && !isString(context[name]))
+          throw new ConfigurationError(
+            `Context value ${name} must be a string, a number, a boolean or null`
+          );
+
+        return [name, String(context[name])];
+      })
+  );
+};
+
+/**
+ * Check if `value` can be used as a context value.
+ *
+ * @private This function is used by serializeContext().
+ *
+ * @param  {Object}  value  The value.
+ * @return {Boolean}
+ */
+
+const isContextValue = (value) =>
+  value === null ||
+  value === undefined ||
+  ["number", "bigint", "boolean"].includes(typeof value);
+
+/**
+ * Parse an encrypted message into its envelope components.
+ * Messages without the `v<version>:` prefix are treated as version 0, which
+ * is plain base64 and therefore never contains a colon.
+ *
+ * @private This function is used by decrypt().
+ *
+ * @param  {String} message    The encrypted message.
+ * @param  {Object} options    The keyring options as described by keyring().
+ * @param  {Number} keyringId  The keyring id used by version 0 messages.
+ * @param  {Object} context    The context bound to versioned messages.
+ * @return {Object}            The envelope's version, encryption, keyringId, type, aad and payload.
+ */
+
+const parseEnvelope = (message, { encryption }, keyringId, context) => {
+  if (!isString(message))
+    throw new MalformedCiphertextError("Ciphertext must be a string");
+
+  if (!message.includes(":")) {
+    if (keyringId === undefined || keyringId === null)
+      throw new ConfigurationError(
+        "Keyring id is required to decrypt version 0 messages"
+      );
+
+    return {
+      version: 0,
+      encryption,
+      keyringId,
+      type: "string",
+      aad: Buffer.alloc(0),
+      payload: decodePayload(message),
+    };
+  }
+
+  const parts = message.split(":");
+  const version = parseInt((parts[0].match(/^v(\d+)$/) || [])[1], 10);
+
+  if (!envelopeFields[version])
+    throw new MalformedCiphertextError(
+      `Unsupported ciphertext version: ${parts[0]}`
+    );
+
+  if (parts.length !== envelopeFields[version])
+    throw new MalformedCiphertextError(
+      `Malformed version ${version} ciphertext`
+    );
+
+  const [, algorithm, id] = parts;
+  const type = version === 1 ? "string" : parts[3];
+
+  if (!keySizes[algorithm])
+    throw new MalformedCiphertextError(
+      `Unsupported ciphertext algorithm: ${algorithm}`
+    );
+
+  if (!/^\d+$/.test(id))
+    throw new MalformedCiphertextError(`Malformed keyring id: ${id}`);
+
+  if (!valueTypes.includes(type))
+    throw new MalformedCiphertextError(`Unsupported value type: ${type}`);
+
+  return {
+    version,
+    encryption: algorithm,
+    keyringId: id,
+    type,
+    aad: additionalData(parts.slice(0, -1).join(":"), context),
+    payload: decodePayload(parts[parts.length - 1]),
+  };
+};
+
+/**
+ * Decode the base64-encoded payload, rejecting anything that isn't base64
+ * instead of silently skipping invalid characters.
+ *
+ * @private This function is used by parseEnvelope().
+ *
+ * @param  {String} value  The base64-encoded payload.
+ * @return {Buffer}        The decoded payload.
+ */
+
+const decodePayload = (value) => {
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(value) || value.length % 4 !== 0)
+    throw new MalformedCiphertextError("Ciphertext payload isn't valid base64");
+
+  return Buffer.from(value, "base64");
+};
+
+/**
+ * Return the encryption and signing keys for the given algorithm.
+ * Keys are split for the keyring's algorithm upfront; messages encrypted
+ * with a different algorithm split the raw secret on demand.
+ *
+ * The algorithm comes from the message, so it's only trusted when the keyring
+ * allows it: otherwise a tampered header could make the same secret be used
+ * by another construction (e.g. an `aes-128-cbc` key as a
+ * `chacha20-poly1305` key).
+ *
+ * @private This function is used by decrypt() and createDecryptStream().
+ *
+ * @param  {Object} key         The key object.
+ * @param  {Object} options     The keyring options as described by keyring().
+ * @param  {String} encryption  The message's encryption algorithm.
+ * @return {Object}             The key material.
+ */
+
+const keyMaterial = (key, options, encryption) => {
+  if (encryption === options.encryption) return key;
+
+  if (!keySizes[encryption])
+    throw new MalformedCiphertextError(
+      `Encryption algorithm not recognized or unsupported: ${encryption}`
+    );
+
+  if (!options.decryption.includes(encryption))
+    throw new ConfigurationError(
+      `Messages encrypted with ${encryption} can't be decrypted; add it to the \`decryption\` option to allow it`
+    );
+
+  return subkeys(key.secret, key.format, encryption);
+};
+
+/**
+ * Validate the algorithms messages can be decrypted with, which always
+ * include the keyring's algorithm.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Object} options  The keyring options as described by keyring().
+ * @return {Array}           List of algorithms.
+ */
+
+const decryptionAlgorithms = ({ encryption, decryption = [] }) => {
+  if (!Array.isArray(decryption))
+    throw new ConfigurationError("The `decryption` option must be an array");
+
+  decryption.forEach((algorithm) => {
+    if (!keySizes[algorithm])
+      throw new ConfigurationError(
+        `Encryption algorithm not recognized or unsupported: ${algorithm}`
+      );
+  });
+
+  return [...new Set([encryption, ...decryption])];
+};
+
+/**
+ * Create a Transform stream that encrypts its input using the current key.
+ *
+ * The output starts with a `s<version>:<encryption>:<keyringId>:<stream id>`
+ * header line, followed by frames in the `final flag (1 byte) + length
+ * (uint32) + encrypted chunk` format. Each chunk is encrypted just like
+ * messages, authenticating the header, the context, the chunk counter and the
+ * final flag; this way reordered, dropped or truncated chunks are detected.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Array}  keys                   The array of encryption keys.
+ * @param  {Object} options                The keyring options as described by keyring().
+ * @param  {Object} streamOptions
+ * @param  {Object} streamOptions.context    The context bound to the stream.
+ * @param  {Number} streamOptions.chunkSize  The plaintext chunk size in bytes.
+ * @param  {Object} event                   The operation event, which records the key and size.
+ * @return {Transform}                      The encrypt stream.
+ */
+
+const createEncryptStream = (
+  keys,
+  options,
+  { context, chunkSize = defaultChunkSize } = {},
+  event = {}
+) => {
+  if (!Number.isInteger(chunkSize) || chunkSize < 1)
+    throw new ConfigurationError(
+      `Stream chunk size must be a positive integer; got ${chunkSize} instead`
+    );
+
+  const { encryption } = options;
+  const key = activeKey(keys, options);
+  const streamId = crypto.randomBytes(16).toString("base64");
+  const header = `s${streamVersion}:${encryption}:${key.id}:${streamId}`;
+  let pending = Buffer.alloc(0);
+  let counter = 0;
+
+  event.keyId = key.id;
+  event.encryption = encryption;
+  event.bytes = 0;
+
+  const seal = (chunk, final) => {
+    const aad = chunkData(header, context, counter++, final);
+    const encrypted = isAEAD(encryption)
+      ? encryptAEAD(key, encryption, chunk, aad)
+      : encryptCBC(key, encryption, chunk, aad);
+    const prefix = Buffer.alloc(5);
+
+    prefix.writeUInt8(final ? 1 : 0, 0);
+    prefix.writeUInt32BE(encrypted.length, 1);
+
+    return Buffer.concat([prefix, encrypted]);
+  };
+
+  return new Transform({
+    construct(callback) {
+      this.push(`${header}\n`);
+      callback();
+    },
+
+    transform(chunk, encoding, callback) {
+      pending = Buffer.concat([pending, chunk]);
+      event.bytes += chunk.length;
+
+      // Always keep some data around, so the last chunk can be marked as final.
+      while (pending.length > chunkSize) {
+        this.push(seal(pending.subarray(0, chunkSize), false));
+        pending = pending.subarray(chunkSize);
+      }
+
+      callback();
+    },
+
+    flush(callback) {
+      this.push(seal(pending, true));
+      callback();
+    },
+  });
+};
+
+/**
+ * Create a Transform stream that decrypts streams generated by
+ * createEncryptStream().
+ * Chunks are only released after being authenticated, and the stream fails
+ * if it ends before the final chunk.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Array}  keys                        The array of encryption keys.
+ * @param  {Object} options                     The keyring options as described by keyring().
+ * @param  {Object} streamOptions
+ * @param  {Object} streamOptions.context       The context bound to the stream.
+ * @param  {Number} streamOptions.maxChunkSize  The maximum plaintext chunk size in bytes.
+ * @param  {Object} event                       The operation event, which records the key and size.
+ * @return {Transform}                          The decrypt stream.
+ */
+
+const createDecryptStream = (
+  keys,
+  options,
+  { context, maxChunkSize = defaultMaxChunkSize } = {},
+  event = {}
+) => {
+  let pending = Buffer.alloc(0);
+  let header;
+  let stream;
+  let counter = 0;
+  let finished = false;
+
+  const readHeader = () => {
+    const index = pending.indexOf(0x0a);
+
+    if (index === -1) {
+      if (pending.length > 256)
+        throw new MalformedCiphertextError("Malformed stream header");
+      return false;
+    }
+
+    header = pending.subarray(0, index).toString();
+    pending = pending.subarray(index + 1);
+
+    const [version, encryption, keyringId, streamId] = header.split(":");
+
+    if (version !== `s${streamVersion}`)
+      throw new MalformedCiphertextError(
+        `Unsupported stream version: ${version}`
+      );
+
+    if (!streamId || !/^\d+$/.test(keyringId))
+      throw new MalformedCiphertextError("Malformed stream header");
+
+    event.keyId = parseInt(keyringId, 10);
+    event.encryption = encryption;
+    event.bytes = 0;
+
+    stream = {
+      encryption,
+      key: keyMaterial(decryptionKey(keys, keyringId), options, encryption),
+    };
+
+    return true;
+  };
+
+  const readFrame = () => {
+    if (pending.length < 5) return null;
+    if (finished)
+      throw new IntegrityError("Unexpected data after the final chunk");
+
+    const final = pending.readUInt8(0) === 1;
+    const length = pending.readUInt32BE(1);
+
+    // Room for the largest overhead, which is CBC's HMAC, IV and padding.
+    if (length > maxChunkSize + 64)
+      throw new MalformedCiphertextError(
+        `Chunk exceeds the maximum size of ${maxChunkSize} bytes`
+      );
+
+    if (pending.length < 5 + length) return null;
+
+    const encrypted = pending.subarray(5, 5 + length);
+    const aad = chunkData(header, context, counter++, final);
+    const { encryption, key } = stream;
+
+    pending = pending.subarray(5 + length);
+    finished = final;
+
+    return isAEAD(encryption)
+      ? decryptAEAD(key, encryption, encrypted, aad)
+      : decryptCBC(key, encryption, encrypted, aad);
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending = Buffer.concat([pending, chunk]);
+
+      try {
+        if (!header && !readHeader()) return callback();
+
+        let decrypted;
+
+        while ((decrypted = readFrame())) {
+          event.bytes += decrypted.length;
+          if (decrypted.length > 0) this.push(decrypted);
+        }
+
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      if (!finished || pending.length > 0)
+        return callback(
+          new IntegrityError("Stream is truncated; the final chunk is missing")
+        );
+
+      callback();
+    },
+  });
+};
+
+/**
+ * Build the additional authenticated data for a stream chunk.
+ *
+ * @private This function is used by createEncryptStream() and createDecryptStream().
+ *
+ * @param  {String}  header   The stream header.
+ * @param  {Object}  context  The context bound to the stream.
+ * @param  {Number}  counter  The chunk counter.
+ * @param  {Boolean} final    Whether this is the final chunk.
+ * @return {Buffer}           The additional authenticated data.
+ */
+
+const chunkData = (header, context, counter, final) => {
+  const position = Buffer.alloc(9);
+
+  position.writeBigUInt64BE(BigInt(counter), 0);
+  position.writeUInt8(final ? 1 : 0, 8);
+
+  return Buffer.concat([additionalData(header, context), position]);
+};
+
+/**
+ * Encrypt the message using encrypt-then-MAC.
+ * The returned buffer is `hmac + iv + encrypted`, where the HMAC covers
+ * `aad + iv + encrypted`.
+ *
+ * @private This function is used by encrypt().
+ *
+ * @param  {Object} key         The encryption key.
+ * @param  {String} encryption  The CBC algorithm.
+ * @param  {Buffer} message     The plain message.
+ * @param  {Buffer} aad         The additional authenticated data.
+ * @param  {Buffer} iv          The IV. Defaults to random bytes.
+ * @return {Buffer}             The authenticated encrypted message.
  */
 
-const keyring = (keys, options = {}) => {
-  options = Object.assign({}, defaultKeyringOptions, options);
+const encryptCBC = (
+  key,
+  encryption,
+  message,
+  aad = Buffer.alloc(0),
+  iv = crypto.randomBytes(16)
+) => {
+  const cipher = crypto.createCipheriv(encryption, key.encryptionKey, iv);
 
-  if (options.salt === undefined) throw new Error(missingSaltError);
+  const encrypted = Buffer.concat([cipher.update(message), cipher.final()]);
 
-  const keySize = keySizes[options.encryption];
+  const hmac = hmacDigest(key.signingKey, Buffer.concat([aad, iv, encrypted]));
 
-  if (!keySize)
-    throw new Error(
-      `Encryption algorithm not recognized or unsupported: ${options.encryption}`
+  return Buffer.concat([hmac, iv, encrypted]);
+};
+
+/**
+ * Decrypt a message generated by encryptCBC().
+ * The HMAC is verified before decrypting, so modified messages never reach
+ * the cipher (and its padding checks).
+ *
+ * @private This function is used by decrypt().
+ *
+ * @param  {Object} key         The encryption key.
+ * @param  {String} encryption  The CBC algorithm.
+ * @param  {Buffer} decoded     The encrypted message.
+ * @param  {Buffer} aad         The additional authenticated data.
+ * @return {Buffer}             The plain message.
+ */
+
+const decryptCBC = (key, encryption, decoded, aad = Buffer.alloc(0)) => {
+  // HMAC, IV and at least one block.
+  if (decoded.length < 64 || decoded.length % 16 !== 0)
+    throw new MalformedCiphertextError(
+      `Ciphertext has an invalid length of ${decoded.length} bytes`
     );
 
-  keys = normalizeKeys(keys, keySize);
-  validateKeyring(keys);
+  const hmac = decoded.subarray(0, 32);
+  const iv = decoded.subarray(32, 48);
+  const encrypted = decoded.subarray(48);
+  const expectedHmac = hmacDigest(
+    key.signingKey,
+    Buffer.concat([aad, iv, encrypted])
+  );
 
-  return {
-    encrypt: (message) => encrypt(keys, options, message),
-    decrypt: (message, keyringId) =>
-      decrypt(findKey(keys, keyringId), options, message),
-    digest: (message) => sha1(message, options),
-    currentId: () => currentKey(keys).id,
-  };
+  if (!verifySignature(expectedHmac, hmac))
+    throw new IntegrityError("Message authentication failed; HMAC mismatch");
+
+  const decipher = crypto.createDecipheriv(encryption, key.encryptionKey, iv);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
 };
 
 /**
- * Encrypt all properties from the specified object.
+ * Encrypt the message using an AEAD algorithm.
+ * The returned buffer is `tag + iv + encrypted`.
  *
- * @private This function is used by keyring().
+ * @private This function is used by encrypt().
  *
- * @param  {Array}  keys     The array of encryption keys.
- * @param  {Object} options  The keyring options as described by keyring().
- * @param  {String} message  The string that will be encrypted.
- * @return {Array}           A three-item array representing the encrypted value, the digest, and the keyring ID, respectively.
+ * @param  {Object} key         The encryption key.
+ * @param  {String} encryption  The AEAD algorithm.
+ * @param  {Buffer} message     The plain message.
+ * @param  {Buffer} aad         The additional authenticated data.
+ * @param  {Buffer} iv          The IV. Defaults to random bytes.
+ * @return {Buffer}             The authenticated encrypted message.
  */
 
-const encrypt = (keys, { encryption, salt } = {}, message) => {
-  const key = currentKey(keys);
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(encryption, key.encryptionKey, iv);
+const encryptAEAD = (
+  key,
+  encryption,
+  message,
+  aad = Buffer.alloc(0),
+  iv = crypto.randomBytes(aeadIvSize)
+) => {
+  const cipher = crypto.createCipheriv(encryption, key.encryptionKey, iv, {
+    authTagLength: authTagSize,
+  });
 
-  const encrypted = Buffer.concat([
-    cipher.update(Buffer.from(message)),
-    cipher.final(),
-  ]);
+  cipher.setAAD(aad);
 
-  const hmac = hmacDigest(key.signingKey, Buffer.concat([iv, encrypted]));
-  const returnValue = Buffer.concat([hmac, iv, encrypted]).toString("base64");
-  const digest = sha1(message, { salt });
+  const encrypted = Buffer.concat([cipher.update(message), cipher.final()]);
 
-  return [returnValue, key.id, digest];
+  return Buffer.concat([cipher.getAuthTag(), iv, encrypted]);
 };
 
 /**
- * Decrypt all properties from the specified object.
+ * Decrypt a message generated by encryptAEAD().
  *
- * @private This function is used by keyring().
+ * @private This function is used by decrypt().
  *
- * @param  {Array}  keys     The array of encryption keys.
- * @param  {Object} options  The keyring options as described by keyring().
- * @param  {Object} source   The object that will have its properties decrypted.
- * @return {Object}          The object with decrypted properties.
+ * @param  {Object} key         The encryption key.
+ * @param  {String} encryption  The AEAD algorithm.
+ * @param  {Buffer} decoded     The encrypted message.
+ * @param  {Buffer} aad         The additional authenticated data.
+ * @return {Buffer}             The plain message.
  */
 
-const decrypt = (key, { encryption }, message) => {
-  const decoded = Buffer.from(message, "base64");
-  const hmac = decoded.subarray(0, 32);
-  const iv = decoded.subarray(32, 48);
-  const encrypted = decoded.subarray(48);
-  const decipher = crypto.createDecipheriv(encryption, key.encryptionKey, iv);
+const decryptAEAD = (key, encryption, decoded, aad = Buffer.alloc(0)) => {
+  if (decoded.length < authTagSize + aeadIvSize)
+    throw new MalformedCiphertextError(
+      `Ciphertext has an invalid length of ${decoded.length} bytes`
+    );
 
-  const decrypted = Buffer.concat([
-    decipher.update(encrypted),
-    decipher.final(),
-  ]);
+  const tag = decoded.subarray(0, authTagSize);
+  const iv = decoded.subarray(authTagSize, authTagSize + aeadIvSize);
+  const encrypted = decoded.subarray(authTagSize + aeadIvSize);
+  const decipher = crypto.createDecipheriv(encryption, key.encryptionKey, iv, {
+    authTagLength: authTagSize,
+  });
 
-  const expectedHmac = hmacDigest(
-    key.signingKey,
-    Buffer.concat([iv, encrypted])
-  );
+  decipher.setAuthTag(tag);
+  decipher.setAAD(aad);
 
-  if (!verifySignature(expectedHmac, hmac)) {
-    throw new Error(
-      `Expected HMAC to be ${expectedHmac.toString(
-        "base64"
-      )}; got ${hmac.toString("base64")} instead`
+  try {
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  } catch (error) {
+    throw new IntegrityError(
+      "Message authentication failed; authentication tag mismatch"
     );
   }
-
-  return decrypted.toString();
 };
 
 /**
@@ -146,9 +1850,11 @@ const decrypt = (key, { encryption }, message) => {
  * - Use `Digest` for property names that look like `camelCase`.
  * - Defaults to `_digest`.
  *
- * @param  {[type]} prop   [description]
- * @param  {[type]} suffix [description]
- * @return {[type]}        [description]
+ * @public Used by the Sequelize plugin to infer digest column names.
+ *
+ * @param  {String} prop    The property name.
+ * @param  {String} suffix  The suffix provided by the user, if any.
+ * @return {String}         The digest suffix.
  */
 
 const resolveDigestSuffix = (prop, suffix) => {
@@ -165,7 +1871,7 @@ const resolveDigestSuffix = (prop, suffix) => {
  */
 
 const sha1 = (value, { salt } = {}) => {
-  if (salt === undefined) throw new Error(missingSaltError);
+  if (salt === undefined) throw new ConfigurationError(missingSaltError);
 
   if (!isString(value)) {
     throw new Error(
@@ -178,6 +1884,107 @@ const sha1 = (value, { salt } = {}) => {
   return hash.digest("hex");
 };
 
+/**
+ * Generate a blind index for the given string using a keyed HMAC-SHA256.
+ * The index key id is recorded in the digest, so digests generated by older
+ * index keys can be identified and migrated.
+ *
+ * @private This function is used by computeDigest() and candidateDigests().
+ *
+ * @param  {String} value  The string that will be digested.
+ * @param  {Object} key    The index key.
+ * @return {String}        The digest in the `hmac-sha256:<id>:<hex>` format.
+ */
+
+const blindIndex = (value, key) => {
+  if (!isString(value)) {
+    throw new Error(
+      `You can only generate blind indexes from strings (received "${typeof value}" instead).`
+    );
+  }
+
+  const hmac = hmacDigest(key.key, Buffer.from(value)).toString("hex");
+
+  return `hmac-sha256:${key.id}:${hmac}`;
+};
+
+/**
+ * Generate the digest for the given string.
+ * Uses the current index key when available; falls back to SHA1 otherwise.
+ *
+ * @private This function is used by keyring() and encrypt().
+ *
+ * @param  {String} value    The string that will be digested.
+ * @param  {Object} options  The keyring options as described by keyring().
+ * @return {String}          The digest.
+ */
+
+const computeDigest = (value, { salt, indexKeys }) => {
+  const input = digestInput(value);
+
+  if (indexKeys.length === 0) return sha1(input, { salt });
+
+  return blindIndex(input, currentKey(indexKeys));
+};
+
+/**
+ * Return the string that will be digested for the given value.
+ * Strings are digested as they are; other types use their serialized form
+ * (base64 for buffers), so `42` and `"42"` have the same digest.
+ *
+ * @private This function is used by computeDigest() and candidateDigests().
+ *
+ * @param  {Object} value  The value.
+ * @return {String}        The digest input.
+ */
+
+const digestInput = (value) => {
+  if (isString(value)) return value;
+
+  const { type, buffer } = serializeValue(value);
+
+  return buffer.toString(type === "buffer" ? "base64" : "utf8");
+};
+
+/**
+ * Generate all digests the given string may have been stored with: one for
+ * each index key, plus the SHA1 digest when a salt is available.
+ * Use this list to look up records while digests are being migrated.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {String} value    The string that will be digested.
+ * @param  {Object} options  The keyring options as described by keyring().
+ * @return {Array}           List of digests, the current one first.
+ */
+
+const candidateDigests = (value, { salt, indexKeys }) => {
+  const input = digestInput(value);
+  const digests = indexKeys
+    .slice()
+    .sort((a, b) => b.id - a.id)
+    .map((key) => blindIndex(input, key));
+
+  if (salt !== undefined) digests.push(sha1(input, { salt }));
+
+  return digests;
+};
+
+/**
+ * Return the index key id used to generate the digest.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {String} digest  The digest.
+ * @return {Number}         The index key id, or `null` for SHA1 digests.
+ */
+
+const digestKeyId = (digest) => {
+  const match = /^hmac-sha256:(\d+):[0-9a-f]{64}$/.exec(digest);
+
+  return match ? parseInt(match[1], 10) : null;
+};
+
 /**
  * Validate whether encryption keys are valid or not.
  *
@@ -188,12 +1995,16 @@ const sha1 = (value, { salt } = {}) => {
  * @return {undefined}
  */
 
-const validateKeyring = (keys) => {
-  if (keys.length === 0) throw new Error("You must initialize the keyring");
+const validateKeyring = (keys, { activeId } = {}) => {
+  if (keys.length === 0)
+    throw new ConfigurationError("You must initialize the keyring");
 
   const invalidIds = keys.some((key) => isNaN(key.id));
 
-  if (invalidIds) throw new Error("All keyring keys must be integer numbers");
+  if (invalidIds)
+    throw new ConfigurationError("All keyring keys must be integer numbers");
+
+  if (activeId !== undefined) findKey(keys, activeId);
 };
 
 /**
@@ -202,34 +2013,253 @@ const validateKeyring = (keys) => {
  *
  * @private This function is used by keyring().
  *
- * @param  {Object} keys  The raw encryption keys object.
- * @return {Array}        List of key objects.
+ * @param  {Object} keys        The raw encryption keys object.
+ * @param  {String} encryption  The encryption algorithm.
+ * @return {Array}              List of key objects.
  */
 
-const normalizeKeys = (keys, keySize) => {
-  const expectedKeySize = keySize * 2;
-
+const normalizeKeys = (keys, encryption) => {
   return Object.keys(keys).reduce((buffer, id) => {
-    const secret = keyBuffer(keys[id]);
-
-    if (secret.length !== expectedKeySize)
-      throw new Error(
-        `Expected key to be ${expectedKeySize} bytes long; got ${secret.length} instead`
-      );
-
-    const signingKey = secret.subarray(0, keySize);
-    const encryptionKey = secret.subarray(keySize);
+    const entry = keyEntry(keys[id], id);
+    const secret = keyBuffer(entry.key);
 
     buffer.push({
       id: parseInt(id, 10),
-      encryptionKey,
-      signingKey,
+      state: entry.state,
+      notBefore: entry.notBefore,
+      expiresAt: entry.expiresAt,
+      format: entry.format,
+      secret,
+      ...subkeys(secret, entry.format, encryption),
     });
 
     return buffer;
   }, []);
 };
 
+/**
+ * Normalize a keyring entry, which can be either the key itself or an
+ * object with the key, its format and its lifecycle metadata.
+ *
+ * @private This function is used by normalizeKeys().
+ *
+ * @param  {Object} value  The keyring entry.
+ * @param  {String} id     The key id, used for error messages.
+ * @return {Object}        The key, format, state, notBefore and expiresAt.
+ */
+
+const keyEntry = (value, id) => {
+  if (isString(value) || value instanceof Buffer)
+    return { key: value, format: "split", state: "active" };
+
+  const {
+    key,
+    format = "split",
+    state = "active",
+    notBefore,
+    expiresAt,
+  } = value || {};
+
+  if (key === undefined) throw new ConfigurationError(`key=${id} has no key`);
+
+  if (!keyFormats.includes(format))
+    throw new ConfigurationError(
+      `key=${id} has invalid format: ${format}; expected one of ${keyFormats.join(
+        ", "
+      )}`
+    );
+
+  if (!keyStates.includes(state))
+    throw new ConfigurationError(
+      `key=${id} has invalid state: ${state}; expected one of ${keyStates.join(
+        ", "
+      )}`
+    );
+
+  return {
+    key,
+    format,
+    state,
+    notBefore: keyDate(notBefore, id, "notBefore"),
+    expiresAt: keyDate(expiresAt, id, "expiresAt"),
+  };
+};
+
+/**
+ * Parse a key date.
+ *
+ * @private This function is used by keyEntry().
+ *
+ * @param  {Object} value  A Date, a date string or a timestamp.
+ * @param  {String} id     The key id, used for error messages.
+ * @param  {String} name   The date name, used for error messages.
+ * @return {Date}          The date, or `undefined` when not set.
+ */
+
+const keyDate = (value, id, name) => {
+  if (value === undefined || value === null) return undefined;
+
+  const date = new Date(value);
+
+  if (isNaN(date.getTime()))
+    throw new ConfigurationError(`key=${id} has invalid ${name}: ${value}`);
+
+  return date;
+};
+
+/**
+ * Return the signing and encryption keys of a secret for the given algorithm.
+ *
+ * @private This function is used by normalizeKeys() and keyMaterial().
+ *
+ * @param  {Buffer} secret      The raw secret.
+ * @param  {String} format      The key format: `split` or `hkdf`.
+ * @param  {String} encryption  The encryption algorithm.
+ * @return {Object}             The signing and encryption keys.
+ */
+
+const subkeys = (secret, format, encryption) =>
+  format === "hkdf"
+    ? expandSecret(secret, encryption)
+    : splitSecret(secret, encryption);
+
+/**
+ * Expand a master secret into signing and encryption keys using HKDF.
+ * Labels include the algorithm, so each algorithm gets its own keys.
+ *
+ * @private This function is used by subkeys().
+ *
+ * @param  {Buffer} secret      The master secret.
+ * @param  {String} encryption  The encryption algorithm.
+ * @return {Object}             The signing and encryption keys.
+ */
+
+const expandSecret = (secret, encryption) => {
+  const keySize = keySizes[encryption];
+  const expand = (label) =>
+    hkdf(secret, `keyring:${encryption}:${label}`, keySize);
+
+  if (secret.length !== masterKeySize)
+    throw new ConfigurationError(
+      `Expected master key to be ${masterKeySize} bytes long; got ${secret.length} instead`
+    );
+
+  if (isAEAD(encryption)) return { encryptionKey: expand("encryption") };
+
+  return { signingKey: expand("signing"), encryptionKey: expand("encryption") };
+};
+
+/**
+ * Derive a subkey from a master secret using HKDF-SHA256.
+ *
+ * @private This function is used by expandSecret(), normalizeIndexKeys() and syntheticIv().
+ *
+ * @param  {Buffer} secret  The master secret.
+ * @param  {String} label   The subkey label (HKDF info).
+ * @param  {Number} size    The subkey size.
+ * @return {Buffer}         The subkey.
+ */
+
+const hkdf = (secret, label, size) =>
+  Buffer.from(crypto.hkdfSync("sha256", secret, Buffer.alloc(0), label, size));
+
+/**
+ * Split the raw secret into signing and encryption keys.
+ * AEAD algorithms use the whole secret as the encryption key.
+ *
+ * @private This function is used by subkeys().
+ *
+ * @param  {Buffer} secret      The raw secret.
+ * @param  {String} encryption  The encryption algorithm.
+ * @return {Object}             The signing and encryption keys.
+ */
+
+const splitSecret = (secret, encryption) => {
+  const keySize = keySizes[encryption];
+  const aead = isAEAD(encryption);
+  const expectedKeySize = aead ? keySize : keySize * 2;
+
+  if (secret.length !== expectedKeySize)
+    throw new ConfigurationError(
+      `Expected key to be ${expectedKeySize} bytes long; got ${secret.length} instead`
+    );
+
+  if (aead) return { encryptionKey: secret };
+
+  return {
+    signingKey: secret.subarray(0, keySize),
+    encryptionKey: secret.subarray(keySize),
+  };
+};
+
+/**
+ * Return the blind index keys derived from the keyring's `hkdf` master keys,
+ * so a single master secret per key id expands into the encryption, signing
+ * and blind index subkeys. Index keys set explicitly take precedence.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Object} keys  The raw encryption keys object.
+ * @return {Object}       The raw index keys object, or `undefined` when there
+ *                        are no `hkdf` keys.
+ */
+
+const masterIndexKeys = (keys) => {
+  const ids = Object.keys(keys).filter(
+    (id) => keys[id] && keys[id].format === "hkdf"
+  );
+
+  if (ids.length === 0) return undefined;
+
+  return ids.reduce((buffer, id) => {
+    buffer[id] = { key: keys[id].key, format: "hkdf" };
+    return buffer;
+  }, {});
+};
+
+/**
+ * Convert the blind index keys JSON object into a normalized
+ * array of objects representing keys.
+ *
+ * @private This function is used by keyring().
+ *
+ * @param  {Object} indexKeys  The raw index keys object.
+ * @return {Array}             List of index key objects.
+ */
+
+const normalizeIndexKeys = (indexKeys) => {
+  return Object.keys(indexKeys).map((id) => {
+    const entry = indexKeys[id];
+    const { key: value, format = "split" } =
+      isString(entry) || entry instanceof Buffer ? { key: entry } : entry;
+    const key = keyBuffer(value);
+
+    if (isNaN(parseInt(id, 10)))
+      throw new ConfigurationError("All index keys must be integer numbers");
+
+    if (!keyFormats.includes(format))
+      throw new ConfigurationError(
+        `Index key=${id} has invalid format: ${format}; expected one of ${keyFormats.join(
+          ", "
+        )}`
+      );
+
+    if (key.length !== 32)
+      throw new ConfigurationError(
+        `Expected index key to be 32 bytes long; got ${key.length} instead`
+      );
+
+    // Master secrets are expanded, so they can also be used as encryption keys.
+    return {
+      id: parseInt(id, 10),
+      key:
+        format === "hkdf"
+          ? hkdf(key, "keyring:hmac-sha256:blind-index", 32)
+          : key,
+    };
+  });
+};
+
 /**
  * Return buffer for key. It assumes that all keys
  * are base64-encoded.
@@ -243,13 +2273,16 @@ const normalizeKeys = (keys, keySize) => {
 const keyBuffer = (value) => {
   if (value instanceof Buffer) return value;
 
+  // Buffers sent to worker threads arrive as plain Uint8Arrays.
+  if (value instanceof Uint8Array) return Buffer.from(value);
+
   return Buffer.from(value, "base64");
 };
 
 /**
  * Return the current key, the one that has the largest id.
  *
- * @private This function is used by encrypt() and decrypt().
+ * @private This function is used by activeKey() and computeDigest().
  *
  * @param  {Array} keys  The array of encryption keys.
  * @return {Object}      Current encryption key from keyring.
@@ -261,11 +2294,92 @@ const currentKey = (keys) => {
   });
 };
 
+/**
+ * Check whether the key can be used for encryption at the given time.
+ *
+ * @private This function is used by activeKey().
+ *
+ * @param  {Object}  key  The key object.
+ * @param  {Date}    now  The current time.
+ * @return {String}       The reason the key can't be used, or `null`.
+ */
+
+const encryptionBlocker = (key, now) => {
+  if (key.state !== "active") return `it is ${key.state}`;
+  if (key.notBefore && key.notBefore > now)
+    return `it is not valid before ${key.notBefore.toISOString()}`;
+  if (key.expiresAt && key.expiresAt <= now)
+    return `it expired at ${key.expiresAt.toISOString()}`;
+
+  return null;
+};
+
+/**
+ * Return the key used for encryption: the pinned `activeId`, or the active
+ * key with the largest id.
+ * Keys are checked on every call, so keys become active (or expire) without
+ * rebuilding the keyring.
+ *
+ * @private This function is used by keyring() and encrypt().
+ *
+ * @param  {Array}  keys     The array of encryption keys.
+ * @param  {Object} options  The keyring options as described by keyring().
+ * @return {Object}          The encryption key.
+ */
+
+const activeKey = (keys, { activeId }) => {
+  const now = new Date();
+
+  if (activeId !== undefined) {
+    const key = findKey(keys, activeId);
+    const blocker = encryptionBlocker(key, now);
+
+    if (blocker)
+      throw new ConfigurationError(
+        `key=${key.id} can't be used for encryption; ${blocker}`
+      );
+
+    return key;
+  }
+
+  const candidates = keys.filter((key) => !encryptionBlocker(key, now));
+
+  if (candidates.length === 0)
+    throw new ConfigurationError(
+      "There are no active keys available for encryption"
+    );
+
+  return currentKey(candidates);
+};
+
+/**
+ * Find the key used to decrypt a message.
+ * Throw an exception in case the key is disabled.
+ *
+ * @private This function is used by decrypt().
+ *
+ * @param  {Array}  keys  The array of encryption keys.
+ * @param  {Number} id    The keyring id.
+ * @return {Object}       The matching key object.
+ */
+
+const decryptionKey = (keys, id) => {
+  const key = findKey(keys, id);
+
+  if (key.state === "disabled")
+    throw new KeyNotFoundError(
+      `key=${key.id} is disabled and can't be used for decryption`,
+      { keyId: key.id, state: key.state }
+    );
+
+  return key;
+};
+
 /**
  * Find a key by its id.
  * Throw an exception in case key is not available.
  *
- * @private This function is used by keyring().
+ * @private This function is used by validateKeyring(), activeKey() and decryptionKey().
  *
  * @param  {Array}  keys  The array of encryption keys.
  * @param  {Number} id    The keyring id. Must be an integer.
@@ -277,7 +2391,9 @@ const findKey = (keys, id) => {
 
   if (key) return key;
 
-  throw new Error(`key=${id} is not available on keyring`);
+  throw new KeyNotFoundError(`key=${id} is not available on keyring`, {
+    keyId: parseInt(id, 10),
+  });
 };
 
 /**
@@ -290,10 +2406,21 @@ const isString = (object) => {
   return typeof object === "string" || object instanceof String;
 };
 
+/**
+ * Check if `encryption` is an AEAD algorithm.
+ *
+ * @private
+ *
+ * @param  {String}  encryption  The encryption algorithm.
+ * @return {Boolean}
+ */
+
+const isAEAD = (encryption) => aeadAlgorithms.includes(encryption);
+
 /**
  * Create HMAC from given message.
  *
- * @private This function is used by encrypt().
+ * @private This function is used by encryptCBC() and decryptCBC().
  *
  * @param  {Buffer} key      The hashing key.
  * @param  {String} message  The target message.
@@ -312,24 +2439,15 @@ const hmacDigest = (key, message) => {
 /**
  * Verify HMAC signature.
  *
- * @private Used by decrypt().
+ * @private Used by decryptCBC().
  *
  * @param  {Buffer}   expected The expected buffer.
  * @param  {Buffer}   actual   The actual buffer.
  * @return {Boolean}           Returns `true` when signature matches.
  */
 
-const verifySignature = (expected, actual) => {
-  let acc = 0;
-
-  if (expected.length !== actual.length) return false;
-
-  for (let i = 0; i < expected.length; i++) {
-    acc |= expected[i] ^ actual[i];
-  }
-
-  return acc === 0;
-};
+const verifySignature = (expected, actual) =>
+  expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 
 /**
  * The package's public interface.
@@ -340,5 +2458,15 @@ const verifySignature = (expected, actual) => {
 module.exports = {
   keyring,
   sha1,
+  generateKey,
+  deriveKeys,
+  usageCounter,
+  isProvider,
+  resolveDigestSuffix,
+  KeyringError,
+  ConfigurationError,
+  KeyNotFoundError,
+  IntegrityError,
+  MalformedCiphertextError,
   options: defaultKeyringOptions,
 };
@@ -0,0 +1,59 @@
+const { encryptedFields } = require("./fields");
+
+/**
+ * Create the row transformer for a table with encrypted columns.
+ * Rows are encrypted with `encrypt(row)` before they're written, and decrypted
+ * by the `postProcessResponse` hook for queries whose `queryContext` has the
+ * transformer as `keyring`. Accepts the same options as encryptedFields(),
+ * with `table` instead of `model`.
+ *
+ * @public
+ * @param  {Object} options
+ * @param  {String} options.table    The table name, used as encryption context.
+ * @param  {Array}  options.columns  The encrypted columns.
+ * @return {Object}                  The row transformer.
+ */
+
+const setup = ({ table, ...options }) => {
+  const fields = encryptedFields({ model: table, ...options });
+
+  return {
+    ...fields,
+    table,
+
+    /**
+     * Return a `where` callback that matches rows by the digest of an
+     * encrypted column.
+     *
+     * @param  {String}       name    The encrypted attribute.
+     * @param  {Object|Array} values  The value, or list of values.
+     * @return {Promise}              Resolves to the `where` callback.
+     */
+    where: async (name, values) => {
+      const { column, digests } = await fields.digests(name, values);
+
+      return (builder) => builder.whereIn(column, digests);
+    },
+  };
+};
+
+/**
+ * Knex's `postProcessResponse` hook, which decrypts the rows returned by
+ * queries using `queryContext({ keyring: transformer })`.
+ * When you have your own hook, call this one from it.
+ *
+ * @public
+ * @param  {Object} result        The query result.
+ * @param  {Object} queryContext  The query context.
+ * @return {Object}               The result, or a promise for the decrypted rows.
+ */
+
+const postProcessResponse = (result, queryContext) => {
+  if (!queryContext || !queryContext.keyring) return result;
+
+  return queryContext.keyring.decrypt(result);
+};
+
+setup.postProcessResponse = postProcessResponse;
+
+module.exports = setup;
@@ -0,0 +1,176 @@
+const { encryptedFields } = require("./fields");
+
+const logicalOperators = ["AND", "OR", "NOT"];
+
+const writeOperations = [
+  "create",
+  "update",
+  "upsert",
+  "createMany",
+  "updateMany",
+];
+
+// Operations whose `where` must select a unique record.
+const uniqueOperations = [
+  "findUnique",
+  "findUniqueOrThrow",
+  "update",
+  "upsert",
+  "delete",
+];
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const lowerFirst = (value) => value.charAt(0).toLowerCase() + value.slice(1);
+
+// Translate the filter on an encrypted attribute into a filter on its digest
+// column. Only equality and `in`/`notIn` lists can be translated; `null` is
+// matched against the encrypted column.
+const digestFilter = async (fields, name, filter) => {
+  const { encryptedColumn } = fields.columns.find(
+    (column) => column.name === name
+  );
+
+  if (filter === null) return { [encryptedColumn]: null };
+
+  if (!isPlainObject(filter)) filter = { equals: filter };
+
+  const conditions = [];
+
+  for (const operator of Object.keys(filter)) {
+    const values = filter[operator];
+
+    if (!["equals", "in", "not", "notIn"].includes(operator))
+      throw new Error(
+        `Encrypted column ${name} can't be queried using ${operator}`
+      );
+
+    if (values === null && operator === "equals") {
+      conditions.push({ [encryptedColumn]: null });
+      continue;
+    }
+
+    if (values === null && operator === "not") {
+      conditions.push({ [encryptedColumn]: { not: null } });
+      continue;
+    }
+
+    const { column, digests } = await fields.digests(name, values);
+    const negated = operator === "not" || operator === "notIn";
+
+    conditions.push({ [column]: { [negated ? "notIn" : "in"]: digests } });
+  }
+
+  return conditions.length === 1 ? conditions[0] : { AND: conditions };
+};
+
+const rewriteWhere = async (fields, where) => {
+  if (Array.isArray(where))
+    return Promise.all(where.map((item) => rewriteWhere(fields, item)));
+  if (!isPlainObject(where)) return where;
+
+  const rewritten = {};
+  const conditions = [];
+
+  for (const key of Object.keys(where)) {
+    if (fields.columns.some((column) => column.name === key))
+      conditions.push(await digestFilter(fields, key, where[key]));
+    else if (logicalOperators.includes(key))
+      rewritten[key] = await rewriteWhere(fields, where[key]);
+    else rewritten[key] = where[key];
+  }
+
+  if (conditions.length === 0) return rewritten;
+
+  return { ...rewritten, AND: [].concat(rewritten.AND || [], conditions) };
+};
+
+// Encrypted attributes are looked up by their candidate digests, so they can't
+// select a unique record by themselves. They can still narrow down a unique
+// `where` that has another unique field, like the id.
+const validateUniqueWhere = (fields, model, operation, where) => {
+  const keys = Object.keys(where);
+  const encrypted = keys.filter((key) =>
+    fields.columns.some((column) => column.name === key)
+  );
+
+  if (
+    encrypted.length === 0 ||
+    keys.some(
+      (key) => !encrypted.includes(key) && !logicalOperators.includes(key)
+    )
+  )
+    return;
+
+  throw new Error(
+    `Encrypted column ${encrypted[0]} can't select a unique ${model} record in ${operation}(); add a unique field like id to where`
+  );
+};
+
+/**
+ * Create a Prisma client extension for a model with encrypted columns.
+ * Attributes are encrypted when written, decrypted when read, and `where`
+ * filters on encrypted attributes are translated into digest lookups.
+ *
+ * ```js
+ * const prisma = new PrismaClient().$extends(extension({ model: "User", ... }));
+ * ```
+ *
+ * @public
+ * @param  {Object} options
+ * @param  {String} options.model    The model name, used as encryption context.
+ * @param  {Array}  options.columns  The encrypted columns.
+ * @return {Object}                  The client extension.
+ */
+
+const extension = ({ model, ...options }) => {
+  const fields = encryptedFields({ model, ...options });
+  const { primaryKey } = options;
+
+  const encryptData = (data, where) => {
+    const id = primaryKey && where ? where[primaryKey] : undefined;
+
+    return Array.isArray(data)
+      ? Promise.all(data.map((item) => fields.encrypt(item)))
+      : fields.encrypt(data, { id });
+  };
+
+  const allOperations = async ({ operation, args, query }) => {
+    args = { ...args };
+
+    if (args.where && uniqueOperations.includes(operation))
+      validateUniqueWhere(fields, model, operation, args.where);
+
+    if (args.where) args.where = await rewriteWhere(fields, args.where);
+
+    if (writeOperations.includes(operation)) {
+      // Values bound to their record can't be shared by several records.
+      if (
+        operation === "updateMany" &&
+        primaryKey &&
+        fields.columns.some((column) => column.name in args.data)
+      )
+        throw new Error(
+          `updateMany can't encrypt ${model} values bound to their ${primaryKey}; update records one by one`
+        );
+
+      if (args.data) args.data = await encryptData(args.data, args.where);
+      if (args.create) args.create = await encryptData(args.create, args.where);
+      if (args.update) args.update = await encryptData(args.update, args.where);
+    }
+
+    return fields.decrypt(await query(args));
+  };
+
+  return {
+    name: "keyring",
+    query: {
+      [lowerFirst(model)]: { $allOperations: allOperations },
+    },
+  };
+};
+
+module.exports = { extension };
@@ -0,0 +1,652 @@
+/**
+ * Node crypto module.
+ * @constant
+ * @type {Object}
+ */
+const crypto = require("crypto");
+
+/**
+ * Node fs module.
+ * @constant
+ * @type {Object}
+ */
+const fs = require("fs");
+
+/**
+ * Current version of the encrypted keyring file format.
+ *
+ * @constant
+ * @type {Number}
+ */
+const keyringFileVersion = 1;
+
+const {
+  keyring,
+  isProvider,
+  deriveKeys,
+  options: defaultKeyringOptions,
+} = require("./keyring");
+
+const isString = (value) => {
+  return typeof value === "string" || value instanceof String;
+};
+
+// A key provider is an object with an async `load()` function that resolves to
+// the raw keys object accepted by keyring(). Providers that can detect changes
+// also implement `watch(onChange, onError)`, which calls `onChange(keys)` with
+// the reloaded keys and returns a function that stops watching.
+
+/**
+ * Load the keyring JSON from an environment variable.
+ *
+ * @public
+ * @param  {String} name         The environment variable name.
+ * @param  {Object} options
+ * @param  {Object} options.env  The environment. Defaults to `process.env`.
+ * @return {Object}              The key provider.
+ */
+
+const env = (name, { env = process.env } = {}) => ({
+  load: async () => {
+    if (env[name] === undefined)
+      throw new Error(`Environment variable ${name} is not set`);
+
+    return JSON.parse(env[name]);
+  },
+});
+
+/**
+ * Load the keyring JSON from a file.
+ * When `watch` is set, the file is polled and the keys are reloaded
+ * whenever it changes.
+ *
+ * @public
+ * @param  {String}  path              The JSON file path.
+ * @param  {Object}  options
+ * @param  {Boolean} options.watch     Reload keys when the file changes.
+ * @param  {Number}  options.interval  The polling interval in milliseconds.
+ * @return {Object}                    The key provider.
+ */
+
+const file = (path, { watch = false, interval = 1000 } = {}) =>
+  fileProvider(path, { watch, interval }, async () =>
+    JSON.parse(await fs.promises.readFile(path, "utf8"))
+  );
+
+/**
+ * Return a key provider that reads the keys from a file and, when `watch` is
+ * set, polls the file and reloads the keys whenever it changes.
+ *
+ * @private This function is used by file() and encryptedFile().
+ *
+ * @param  {String}   path              The file path.
+ * @param  {Object}   options
+ * @param  {Boolean}  options.watch     Reload keys when the file changes.
+ * @param  {Number}   options.interval  The polling interval in milliseconds.
+ * @param  {Function} read              Async function that reads the keys.
+ * @return {Object}                     The key provider.
+ */
+
+const fileProvider = (path, { watch, interval }, read) => {
+  // The modification time of the loaded file. Changes are detected against it,
+  // rather than against the first poll, so a change made between loading the
+  // keys and watching the file isn't missed.
+  let mtime;
+
+  const load = async () => {
+    const stats = await fs.promises.stat(path);
+    const keys = await read();
+
+    mtime = stats.mtimeMs;
+
+    return keys;
+  };
+
+  if (!watch) return { load };
+
+  return {
+    load,
+    watch: (onChange, onError) => {
+      let polling = false;
+
+      const poll = async () => {
+        if (polling) return;
+
+        polling = true;
+
+        try {
+          // Missing files are reported once, by load().
+          const { mtimeMs } = await fs.promises
+            .stat(path)
+            .catch(() => ({ mtimeMs: null }));
+
+          if (mtimeMs === mtime) return;
+
+          // Failed reloads are reported once per change.
+          mtime = mtimeMs;
+          onChange(await load());
+        } catch (error) {
+          onError(error);
+        } finally {
+          polling = false;
+        }
+      };
+
+      const timer = setInterval(poll, interval);
+
+      timer.unref();
+      poll();
+
+      return () => clearInterval(timer);
+    },
+  };
+};
+
+/**
+ * Load the keyring from an encrypted keyring file; see saveKeyringFile().
+ * When `watch` is set, the file is polled and the keys are reloaded
+ * whenever it changes.
+ *
+ * @public
+ * @param  {String}  path                The keyring file path.
+ * @param  {Object}  options
+ * @param  {String}  options.passphrase  The passphrase the file is sealed under.
+ * @param  {String}  options.masterKey   Or the base64-encoded 32-byte master key.
+ * @param  {Boolean} options.watch       Reload keys when the file changes.
+ * @param  {Number}  options.interval    The polling interval in milliseconds.
+ * @return {Object}                      The key provider.
+ */
+
+const encryptedFile = (
+  path,
+  { watch = false, interval = 1000, ...options } = {}
+) => {
+  sealingSecret(options);
+
+  return fileProvider(path, { watch, interval }, () =>
+    loadKeyringFile(path, options)
+  );
+};
+
+/**
+ * Load data keys that are stored wrapped (encrypted) by a master key.
+ * Each key is unwrapped by calling `unwrap(wrappedKey, { id })`, which
+ * usually asks a KMS to decrypt it; see localKms() for a local implementation.
+ *
+ * @public
+ * @param  {Object}   options
+ * @param  {Object}   options.keys    The wrapped keys object, or a key provider
+ *                                    that loads it (e.g. file()).
+ * @param  {Function} options.unwrap  Async function that returns the unwrapped
+ *                                    key as a buffer or base64-encoded string.
+ * @return {Object}                   The key provider.
+ */
+
+const envelope = ({ keys, unwrap }) => {
+  if (typeof unwrap !== "function")
+    throw new Error("Envelope provider requires an `unwrap` function");
+
+  const source = isProvider(keys) ? keys : { load: async () => keys };
+
+  // Entries with lifecycle metadata only have their `key` unwrapped.
+  const unwrapEntry = async (entry, id) => {
+    if (isString(entry)) return unwrap(entry, { id: parseInt(id, 10) });
+
+    return { ...entry, key: await unwrap(entry.key, { id: parseInt(id, 10) }) };
+  };
+
+  const unwrapKeys = async (wrapped) => {
+    const ids = Object.keys(wrapped);
+    const unwrapped = await Promise.all(
+      ids.map((id) => unwrapEntry(wrapped[id], id))
+    );
+
+    return ids.reduce((buffer, id, index) => {
+      buffer[id] = unwrapped[index];
+      return buffer;
+    }, {});
+  };
+
+  const provider = {
+    load: async () => unwrapKeys(await source.load()),
+  };
+
+  if (source.watch) {
+    provider.watch = (onChange, onError) =>
+      source.watch(
+        (wrapped) => unwrapKeys(wrapped).then(onChange, onError),
+        onError
+      );
+  }
+
+  return provider;
+};
+
+/**
+ * A local stand-in for a KMS, which wraps keys using AES-256-GCM.
+ * Useful for tests and development; in production, `unwrap` should call the
+ * actual KMS instead.
+ *
+ * @public
+ * @param  {String} masterKey  The base64-encoded 32-byte master key.
+ * @return {Object}            An object with async `wrap(key)` and `unwrap(wrappedKey)` functions.
+ */
+
+const localKms = (masterKey) => {
+  const key = Buffer.isBuffer(masterKey)
+    ? masterKey
+    : Buffer.from(masterKey, "base64");
+
+  if (key.length !== 32)
+    throw new Error(
+      `Expected master key to be 32 bytes long; got ${key.length} instead`
+    );
+
+  return {
+    wrap: async (value) => {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+      const plain = Buffer.isBuffer(value)
+        ? value
+        : Buffer.from(value, "base64");
+      const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+
+      return Buffer.concat([cipher.getAuthTag(), iv, encrypted]).toString(
+        "base64"
+      );
+    },
+
+    unwrap: async (wrapped) => {
+      const decoded = Buffer.from(wrapped, "base64");
+      const decipher = crypto.createDecipheriv(
+        "aes-256-gcm",
+        key,
+        decoded.subarray(16, 28)
+      );
+
+      decipher.setAuthTag(decoded.subarray(0, 16));
+
+      return Buffer.concat([
+        decipher.update(decoded.subarray(28)),
+        decipher.final(),
+      ]);
+    },
+  };
+};
+
+/**
+ * Seal the keyring into an encrypted keyring file.
+ * The key map, including key metadata, and its checksum are encrypted using
+ * AES-256-GCM, under either a key derived from the passphrase with
+ * deriveKeys() or the given master key. The file is written to a temporary
+ * file first, which is then renamed, so it's never left half-written.
+ *
+ * Keys are validated for the given encryption algorithm before sealing, and
+ * Buffer keys are written base64-encoded.
+ *
+ * @public
+ * @param  {String}  path                The keyring file path.
+ * @param  {Object}  keys                The keys object accepted by keyring().
+ * @param  {Object}  options
+ * @param  {String}  options.passphrase  The passphrase to seal the file under.
+ * @param  {String}  options.masterKey   Or the base64-encoded 32-byte master key.
+ * @param  {String}  options.kdf         The key derivation function: `scrypt` or `pbkdf2`.
+ * @param  {Object}  options.params      The KDF parameters; see deriveKeys().
+ * @param  {String}  options.encryption  The algorithm the keys are used with. Defaults to `aes-128-cbc`.
+ * @return {Promise}                     Resolves once the file is written.
+ */
+
+const saveKeyringFile = async (path, keys, options = {}) => {
+  validateKeyringIds(keys);
+
+  const entries = serializeKeys(keys);
+
+  validateKeyringKeys(entries, options);
+
+  await writeKeyringFile(path, entries, await sealingKey(options));
+};
+
+/**
+ * Load the keys from an encrypted keyring file.
+ * Throw an exception when the file can't be decrypted, or its checksum
+ * doesn't match the keys.
+ *
+ * @public
+ * @param  {String}  path                The keyring file path.
+ * @param  {Object}  options
+ * @param  {String}  options.passphrase  The passphrase the file is sealed under.
+ * @param  {String}  options.masterKey   Or the base64-encoded 32-byte master key.
+ * @return {Promise}                     Resolves to the keys object.
+ */
+
+const loadKeyringFile = async (path, options = {}) => {
+  const { keys } = await readKeyringFile(path, options);
+
+  return keys;
+};
+
+/**
+ * Add keys to an encrypted keyring file, without ever writing the keys in
+ * plaintext. The file is sealed again under the same passphrase (and KDF
+ * parameters) or master key.
+ *
+ * Merging throws an exception when a key id is already taken, when a key is
+ * already in the keyring under another id, or when a key id is lower than the
+ * current id, since the new key wouldn't be used for encryption; pass
+ * `allowLowerId` when that's intended, e.g. to restore an old key.
+ *
+ * @public
+ * @param  {String}  path                  The keyring file path.
+ * @param  {Object}  keys                  The keys to add.
+ * @param  {Object}  options
+ * @param  {String}  options.passphrase    The passphrase the file is sealed under.
+ * @param  {String}  options.masterKey     Or the base64-encoded 32-byte master key.
+ * @param  {Boolean} options.allowLowerId  Allow adding keys below the current id.
+ * @param  {String}  options.encryption    The algorithm the keys are used with. Defaults to `aes-128-cbc`.
+ * @return {Promise}                       Resolves to the merged keys object.
+ */
+
+const mergeKeyringFile = async (path, keys, options = {}) => {
+  validateKeyringIds(keys);
+  keys = serializeKeys(keys);
+
+  const { keys: current, sealing } = await readKeyringFile(path, options);
+  const currentId = Math.max(...Object.keys(current).map(Number));
+  const secrets = Object.keys(current).reduce((buffer, id) => {
+    buffer.set(entrySecret(current[id]), id);
+    return buffer;
+  }, new Map());
+
+  Object.keys(keys).forEach((id) => {
+    const secret = entrySecret(keys[id]);
+
+    if (current[id] !== undefined)
+      throw new Error(
+        secrets.get(secret) === id
+          ? `key=${id} is already in the keyring`
+          : `key=${id} conflicts with another key using the same id`
+      );
+
+    if (secrets.has(secret))
+      throw new Error(
+        `key=${id} duplicates key=${secrets.get(secret)} in the keyring`
+      );
+
+    if (Number(id) < currentId && !options.allowLowerId)
+      throw new Error(
+        `key=${id} is lower than the current key id=${currentId}; pass \`allowLowerId: true\` to add it anyway`
+      );
+
+    secrets.set(secret, id);
+  });
+
+  const merged = { ...current, ...keys };
+
+  validateKeyringKeys(merged, options);
+
+  await writeKeyringFile(path, merged, sealing);
+
+  return merged;
+};
+
+/**
+ * Return the passphrase or master key used to seal a keyring file.
+ *
+ * @private This function is used by encryptedFile() and sealingKey().
+ *
+ * @param  {Object} options  The keyring file options.
+ * @return {Object}          The `passphrase`, or the master `key` buffer.
+ */
+
+const sealingSecret = ({ passphrase, masterKey } = {}) => {
+  if ((passphrase === undefined) === (masterKey === undefined))
+    throw new Error(
+      "Keyring files require either a `passphrase` or a `masterKey`"
+    );
+
+  if (passphrase !== undefined) return { passphrase };
+
+  const key = Buffer.isBuffer(masterKey)
+    ? masterKey
+    : Buffer.from(masterKey, "base64");
+
+  if (key.length !== 32)
+    throw new Error(
+      `Expected master key to be 32 bytes long; got ${key.length} instead`
+    );
+
+  return { key };
+};
+
+/**
+ * Return the AES-256-GCM key that seals a keyring file.
+ * Passphrases are stretched with deriveKeys(), using the given derivation
+ * (when reading or merging a file), or the KDF options (when saving one).
+ *
+ * @private This function is used by saveKeyringFile() and readKeyringFile().
+ *
+ * @param  {Object}  options     The keyring file options.
+ * @param  {Object}  derivation  The derivation recorded in the file.
+ * @return {Promise}             Resolves to the key and its derivation.
+ */
+
+const sealingKey = async (options, derivation) => {
+  const { passphrase, key } = sealingSecret(options);
+
+  if (key) return { key };
+
+  const entry = await deriveKeys(
+    passphrase,
+    derivation || {
+      kdf: options.kdf,
+      params: options.params,
+      encryption: "aes-256-gcm",
+    }
+  );
+
+  return {
+    key: Buffer.from(entry.key, "base64"),
+    derivation: entry.derivation,
+  };
+};
+
+/**
+ * Encrypt the keys and write the keyring file.
+ *
+ * @private This function is used by saveKeyringFile() and mergeKeyringFile().
+ *
+ * @param  {String}  path     The keyring file path.
+ * @param  {Object}  keys     The keys object.
+ * @param  {Object}  sealing  The key and passphrase derivation returned by sealingKey().
+ * @return {Promise}          Resolves once the file is written.
+ */
+
+const writeKeyringFile = async (path, keys, { key, derivation }) => {
+  const header = { version: keyringFileVersion, cipher: "aes-256-gcm" };
+
+  if (derivation) header.derivation = derivation;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const payload = JSON.stringify({ keys, checksum: checksum(keys) });
+
+  cipher.setAAD(Buffer.from(JSON.stringify(header)));
+
+  const encrypted = Buffer.concat([cipher.update(payload), cipher.final()]);
+  const contents = JSON.stringify(
+    {
+      ...header,
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: encrypted.toString("base64"),
+    },
+    null,
+    2
+  );
+  const temporary = `${path}.${process.pid}.tmp`;
+
+  await fs.promises.writeFile(temporary, contents, { mode: 0o600 });
+  await fs.promises.rename(temporary, path);
+};
+
+/**
+ * Read and decrypt the keyring file, then verify its checksum.
+ *
+ * @private This function is used by loadKeyringFile() and mergeKeyringFile().
+ *
+ * @param  {String}  path     The keyring file path.
+ * @param  {Object}  options  The keyring file options.
+ * @return {Promise}          Resolves to the keys and the sealing key.
+ */
+
+const readKeyringFile = async (path, options) => {
+  const { version, cipher, derivation, iv, tag, data } = JSON.parse(
+    await fs.promises.readFile(path, "utf8")
+  );
+
+  if (version !== keyringFileVersion || cipher !== "aes-256-gcm")
+    throw new Error(`Unsupported keyring file version: ${version}`);
+
+  if (Boolean(derivation) !== (options.passphrase !== undefined))
+    throw new Error(
+      derivation
+        ? "Keyring file is sealed under a passphrase"
+        : "Keyring file is sealed under a master key"
+    );
+
+  const header = { version, cipher };
+
+  if (derivation) header.derivation = derivation;
+
+  const sealing = await sealingKey(options, derivation);
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    sealing.key,
+    Buffer.from(iv, "base64")
+  );
+
+  decipher.setAAD(Buffer.from(JSON.stringify(header)));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+
+  let payload;
+
+  try {
+    payload = Buffer.concat([
+      decipher.update(Buffer.from(data, "base64")),
+      decipher.final(),
+    ]);
+  } catch (error) {
+    throw new Error(
+      "Unable to decrypt keyring file; the passphrase or master key is wrong, or the file was modified"
+    );
+  }
+
+  const { keys, checksum: expected } = JSON.parse(payload.toString("utf8"));
+
+  if (checksum(keys) !== expected)
+    throw new Error("Keyring file checksum doesn't match its keys");
+
+  return { keys, sealing };
+};
+
+/**
+ * Return the SHA-256 checksum of the keys object.
+ *
+ * @private This function is used by writeKeyringFile() and readKeyringFile().
+ *
+ * @param  {Object} keys  The keys object.
+ * @return {String}       The hex-encoded checksum.
+ */
+
+const checksum = (keys) =>
+  crypto.createHash("sha256").update(JSON.stringify(keys)).digest("hex");
+
+/**
+ * Return the key of a keyring entry, used to find duplicate keys.
+ *
+ * @private This function is used by mergeKeyringFile().
+ *
+ * @param  {Object} entry  The keyring entry.
+ * @return {String}        The base64-encoded key.
+ */
+
+const entrySecret = (entry) => {
+  const key = isString(entry) || Buffer.isBuffer(entry) ? entry : entry.key;
+
+  return Buffer.isBuffer(key) ? key.toString("base64") : String(key);
+};
+
+/**
+ * Return the keys object with Buffer keys encoded as base64, so they survive
+ * the JSON round trip.
+ *
+ * @private This function is used by saveKeyringFile() and mergeKeyringFile().
+ *
+ * @param  {Object} keys  The keys object.
+ * @return {Object}       The keys object, with base64-encoded keys.
+ */
+
+const serializeKeys = (keys) =>
+  Object.keys(keys).reduce((buffer, id) => {
+    const entry = keys[id];
+    const encode = (key) =>
+      Buffer.isBuffer(key) ? key.toString("base64") : key;
+
+    buffer[id] =
+      isString(entry) || Buffer.isBuffer(entry)
+        ? encode(entry)
+        : { ...entry, key: encode(entry && entry.key) };
+
+    return buffer;
+  }, {});
+
+/**
+ * Throw an exception unless the keys can build a keyring for the given
+ * encryption algorithm, so invalid keys are never sealed.
+ *
+ * @private This function is used by saveKeyringFile() and mergeKeyringFile().
+ *
+ * @param  {Object} keys     The keys object.
+ * @param  {Object} options  The keyring file options.
+ */
+
+const validateKeyringKeys = (keys, { encryption } = {}) => {
+  keyring(keys, {
+    salt: "",
+    encryption: encryption || defaultKeyringOptions.encryption,
+  });
+};
+
+/**
+ * Throw an exception unless all key ids are integer numbers.
+ *
+ * @private This function is used by saveKeyringFile() and mergeKeyringFile().
+ *
+ * @param  {Object} keys  The keys object.
+ */
+
+const validateKeyringIds = (keys) => {
+  const ids = Object.keys(keys || {});
+
+  if (ids.length === 0) throw new Error("You must initialize the keyring");
+
+  if (!ids.every((id) => /^\d+$/.test(id)))
+    throw new Error("All keyring keys must be integer numbers");
+};
+
+/**
+ * The module's public interface.
+ *
+ * @type {Object}
+ */
+
+module.exports = {
+  env,
+  file,
+  encryptedFile,
+  envelope,
+  localKms,
+  saveKeyringFile,
+  loadKeyringFile,
+  mergeKeyringFile,
+};
@@ -1,5 +1,14 @@
+const { isDeepStrictEqual } = require("util");
 const Sequelize = require("sequelize");
-const Keyring = require("./keyring").keyring;
+const { Op, DataTypes, Utils } = Sequelize;
+const {
+  resolveColumns,
+  resolveKeyring,
+  loadedKeyring,
+  encryptValue,
+  validateDecryptionErrorPolicy,
+  handleDecryptionError,
+} = require("./fields");
 
 const isString = (value) => {
   return typeof value === "string" || value instanceof String;
@@ -9,50 +18,835 @@ const getModelOptions = (record) => {
   return record._modelOptions || record.constructor.options;
 };
 
-const beforeSave = (record, options) => {
-  const { keys, keyringIdColumn, encryption, columns, salt } =
-    getModelOptions(record).keyring;
+// Deterministic columns are only bound to their model and column, so equal
+// values encrypt the same way across records.
+const encryptionContext = (record, column) => {
+  const model = record.constructor;
+  const context = { model: model.name, column: column.name };
+  const primaryKeys = model.primaryKeyAttributes;
 
-  const keyring = Keyring(keys, { encryption, salt });
+  if (primaryKeys.length !== 1 || column.deterministic) return context;
 
-  columns.forEach((column) => {
-    const digestColumn = `${column}_digest`;
-    const value = record[column];
-    let encrypted = null;
-    let digest = null;
-    let keyringId = record[keyringIdColumn] || keyring.currentId();
+  const primaryKey = primaryKeys[0];
+
+  // Auto-increment ids are only known after the record is inserted, so the
+  // value can only be bound to its model and column.
+  if (model.rawAttributes[primaryKey].autoIncrement) return context;
+
+  const id = record.get(primaryKey);
+
+  if (id === undefined || id === null)
+    throw new Error(
+      `Cannot bind ${model.name}.${column.name} to a record without ${primaryKey}; set it or mark it as autoIncrement`
+    );
+
+  context.id = id;
+
+  return context;
+};
+
+// The columns of a record that couldn't be decrypted, whose attribute holds
+// the decryption error policy's fallback instead of the actual value.
+const decryptionFailures = Symbol("decryptionFailures");
+
+const failedColumns = (record) => {
+  if (!record[decryptionFailures]) record[decryptionFailures] = new Set();
+
+  return record[decryptionFailures];
+};
+
+const encryptColumns = async (record, columns) => {
+  const attributes =
+    record.attributes || Object.keys(record.constructor.rawAttributes);
+
+  for (const column of columns) {
+    const value = record[column.name];
+
+    // Records loaded without the encrypted column keep their stored value.
+    if (
+      value === undefined &&
+      !record.isNewRecord &&
+      !(column.encryptedColumn in record.dataValues)
+    )
+      continue;
+
+    // So do values that couldn't be decrypted, unless a new value was set:
+    // encrypting the fallback would overwrite the stored value.
+    if (failedColumns(record).has(column.name)) continue;
+
+    const keyring = await resolveKeyring(column.keyring);
+    const { encrypted, keyringId, digest } = encryptValue(
+      keyring,
+      value,
+      value === null || value === undefined
+        ? undefined
+        : encryptionContext(record, column),
+      record[column.keyringIdColumn],
+      { deterministic: column.deterministic }
+    );
+
+    record[column.encryptedColumn] = encrypted;
+    record[column.keyringIdColumn] = keyringId;
+
+    if (attributes.includes(column.digestColumn))
+      record[column.digestColumn] = digest;
+  }
+};
+
+const beforeSave = (record) =>
+  encryptColumns(record, getModelOptions(record).keyring.columns);
+
+// The fields written when encrypting the given columns.
+const writtenFields = (model, columns) =>
+  columns.flatMap((column) => [
+    column.encryptedColumn,
+    column.keyringIdColumn,
+    ...(model.rawAttributes[column.digestColumn] ? [column.digestColumn] : []),
+  ]);
+
+const union = (...lists) => [...new Set([].concat(...lists))];
+
+const beforeBulkCreate = async (model, records, options) => {
+  const { columns } = model.options.keyring;
+
+  for (const record of records) await encryptColumns(record, columns);
+
+  options.fields = union(options.fields, writtenFields(model, columns));
+};
+
+// Set on bulk updates that change encrypted columns, so `beforeUpdate` knows
+// which columns to encrypt for each record.
+const bulkUpdateColumns = Symbol("bulkUpdateColumns");
+
+const beforeBulkUpdate = async (model, options) => {
+  await beforeQuery(model, options);
+
+  const { columns } = model.options.keyring;
+  const updated = columns.filter((column) =>
+    Object.prototype.hasOwnProperty.call(options.attributes, column.name)
+  );
+
+  if (updated.length === 0) return;
+
+  // Values are bound to their records, so each record needs its own
+  // ciphertext; individual hooks make Sequelize update them one by one.
+  options.individualHooks = true;
+  options[bulkUpdateColumns] = updated;
+  options.fields = union(options.fields, writtenFields(model, updated));
+};
+
+const beforeUpdate = async (record, options) => {
+  if (options[bulkUpdateColumns])
+    await encryptColumns(record, options[bulkUpdateColumns]);
+};
+
+// Values are decrypted when they're first read, and cached as the attribute's
+// value. New records and records loaded without the encrypted column return
+// `undefined`.
+const decryptingGetter = (model, column) =>
+  function () {
+    const cached = this.getDataValue(column.name);
+
+    if (cached !== undefined) return cached;
+    if (this.isNewRecord || !(column.encryptedColumn in this.dataValues))
+      return undefined;
+
+    const encrypted = this.getDataValue(column.encryptedColumn);
+    let value = null;
+
+    if (isString(encrypted)) {
+      try {
+        value = loadedKeyring(column.keyring).decrypt(
+          encrypted,
+          this.getDataValue(column.keyringIdColumn),
+          encryptionContext(this, column)
+        );
+        failedColumns(this).delete(column.name);
+      } catch (error) {
+        failedColumns(this).add(column.name);
+        value = handleDecryptionError(
+          model.options.keyring.onDecryptError,
+          error,
+          { record: this, column: column.name }
+        );
+      }
+    }
+
+    this.dataValues[column.name] = value;
+
+    return value;
+  };
+
+// Setting a value replaces the one that couldn't be decrypted.
+const clearingSetter = (column) =>
+  function (value) {
+    failedColumns(this).delete(column.name);
+    this.setDataValue(column.name, value);
+  };
+
+// Only load the keyrings once per query; values are decrypted lazily.
+const afterFind = async (record) => {
+  const records = [].concat(record || []);
+
+  if (records.length === 0) return;
+
+  const { columns } = getModelOptions(records[0]).keyring;
+
+  for (const column of columns) await resolveKeyring(column.keyring);
+};
+
+const logicalOperators = [Op.and, Op.or, Op.not];
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const isOperatorObject = (value) =>
+  isPlainObject(value) &&
+  Object.getOwnPropertySymbols(value).length > 0 &&
+  Object.keys(value).length === 0;
+
+// Translate the condition on an encrypted column into conditions on its digest
+// column. All candidate digests are matched, so records stay reachable while
+// digests are being migrated. Deterministic columns are matched by their
+// encrypted column, using the ciphertexts of every key.
+const digestConditions = (model, column, keyring, condition) => {
+  if (condition === null) return [{ [column.encryptedColumn]: null }];
+
+  if (Array.isArray(condition)) condition = { [Op.in]: condition };
+  else if (!isOperatorObject(condition)) condition = { [Op.eq]: condition };
+
+  const field = column.deterministic
+    ? column.encryptedColumn
+    : column.digestColumn;
+  const context = { model: model.name, column: column.name };
+  const digests = (values) =>
+    values.flatMap((value) =>
+      column.deterministic
+        ? keyring.ciphertexts(value, context)
+        : keyring.digests(value)
+    );
+
+  return Object.getOwnPropertySymbols(condition).flatMap((operator) => {
+    const operand = condition[operator];
+
+    if (operand === null && [Op.eq, Op.is].includes(operator))
+      return { [column.encryptedColumn]: null };
+    if (operand === null && [Op.ne, Op.not].includes(operator))
+      return { [column.encryptedColumn]: { [Op.ne]: null } };
+
+    if (operator === Op.eq) return { [field]: { [Op.in]: digests([operand]) } };
+    if (operator === Op.ne)
+      return { [field]: { [Op.notIn]: digests([operand]) } };
+    if (operator === Op.in || operator === Op.notIn)
+      return listConditions(column, field, operator, operand, digests);
 
-    if (isString(value))
-      [encrypted, keyringId, digest] = keyring.encrypt(value);
+    throw new Error(
+      `Encrypted column ${column.name} can't be queried using ${String(
+        operator
+      )}`
+    );
+  });
+};
+
+// `null` can't be matched by digest, so it's split out of `Op.in` and
+// `Op.notIn` lists into an `IS NULL` or `IS NOT NULL` condition.
+const listConditions = (column, field, operator, operand, digests) => {
+  const values = operand.filter((value) => value !== null);
+
+  if (values.length === operand.length)
+    return [{ [field]: { [operator]: digests(values) } }];
+
+  const isNull = { [column.encryptedColumn]: null };
+
+  if (operator === Op.in)
+    return values.length === 0
+      ? [isNull]
+      : [{ [Op.or]: [isNull, { [field]: { [Op.in]: digests(values) } }] }];
+
+  return [
+    { [column.encryptedColumn]: { [Op.ne]: null } },
+    ...(values.length === 0
+      ? []
+      : [{ [field]: { [Op.notIn]: digests(values) } }]),
+  ];
+};
 
-    record[`encrypted_${column}`] = encrypted;
-    record[keyringIdColumn] = keyringId;
+const rewriteWhere = (model, where, columns, keyrings) => {
+  if (Array.isArray(where))
+    return where.map((item) => rewriteWhere(model, item, columns, keyrings));
+  if (!isPlainObject(where)) return where;
 
-    const attributes =
-      record.attributes || Object.keys(record.constructor.rawAttributes);
+  const rest = {};
+  const conditions = [];
 
-    if (attributes.includes(digestColumn)) record[digestColumn] = digest;
+  Reflect.ownKeys(where).forEach((key) => {
+    const column = columns.find((column) => column.name === key);
+
+    if (column)
+      conditions.push(
+        ...digestConditions(model, column, keyrings.get(column), where[key])
+      );
+    else if (logicalOperators.includes(key))
+      rest[key] = rewriteWhere(model, where[key], columns, keyrings);
+    else rest[key] = where[key];
   });
+
+  return conditions.length === 0 ? rest : { [Op.and]: [rest, ...conditions] };
+};
+
+// The attributes used by `Sequelize.where()` conditions (e.g.
+// `Sequelize.where(Sequelize.fn("lower", Sequelize.col("email")), value)`).
+const helperAttributes = (value) => {
+  if (isString(value)) return [value.split(".").pop()];
+  if (value instanceof Utils.Col) return helperAttributes(value.col);
+  if (value instanceof Utils.Cast) return helperAttributes(value.val);
+  if (value instanceof Utils.Fn)
+    return value.args.flatMap((arg) =>
+      arg instanceof Utils.SequelizeMethod ? helperAttributes(arg) : []
+    );
+
+  return [];
+};
+
+const referencedColumns = (where, columns) => {
+  if (Array.isArray(where))
+    return where.flatMap((item) => referencedColumns(item, columns));
+
+  // Conditions built by where helpers can't be rewritten into digest lookups,
+  // and would otherwise query the virtual attribute, or match nothing.
+  if (where instanceof Utils.Where) {
+    const column = columns.find((column) =>
+      helperAttributes(where.attribute).includes(column.name)
+    );
+
+    if (column)
+      throw new Error(
+        `Encrypted column ${column.name} can't be queried using Sequelize.where(); use a plain condition like { ${column.name}: value } instead`
+      );
+  }
+
+  if (!isPlainObject(where)) return [];
+
+  return Reflect.ownKeys(where).flatMap((key) => {
+    const column = columns.find((column) => column.name === key);
+
+    if (column) return [column];
+    if (logicalOperators.includes(key))
+      return referencedColumns(where[key], columns);
+
+    return [];
+  });
+};
+
+const beforeQuery = async (model, options) => {
+  if (!options.where) return;
+
+  const { columns } = model.options.keyring;
+  const referenced = referencedColumns(options.where, columns);
+
+  if (referenced.length === 0) return;
+
+  const keyrings = new Map();
+
+  for (const column of referenced) {
+    if (!column.deterministic && !model.rawAttributes[column.digestColumn])
+      throw new Error(
+        `Encrypted column ${column.name} can't be queried because it has no digest column (${column.digestColumn})`
+      );
+
+    keyrings.set(column, await resolveKeyring(column.keyring));
+  }
+
+  options.where = rewriteWhere(model, options.where, columns, keyrings);
+};
+
+// Raw query guards by model name, for each Sequelize instance.
+const rawQueryGuards = new WeakMap();
+
+const rawQueryGuardModes = ["warn", "throw"];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const writeStatement = /^\s*(insert|update|replace|merge)\b/i;
+
+// Queries issued by models carry the model or instance in their options;
+// anything else is a raw query, which bypasses encryption.
+const installRawQueryGuards = (sequelize) => {
+  const guards = new Map();
+  const query = sequelize.query;
+
+  sequelize.query = async function (sql, options) {
+    if (!options || (!options.model && !options.instance)) {
+      const statement = isString(sql) ? sql : sql.query;
+
+      guards.forEach((guard) => guard(statement));
+    }
+
+    return query.call(this, sql, options);
+  };
+
+  rawQueryGuards.set(sequelize, guards);
+
+  return guards;
 };
 
-const afterFind = (record) => {
-  if (!record) return;
-  else if (record instanceof Array) return record.map(afterFind);
+const rawQueryGuard = (model, mode) => {
+  const table = model.getTableName().toString();
+  const names = union(
+    ...model.options.keyring.columns.map((column) => [
+      column.name,
+      column.encryptedColumn,
+      column.digestColumn,
+    ])
+  );
+  const pattern = new RegExp(`\\b(${names.map(escapeRegExp).join("|")})\\b`);
 
-  const { keys, keyringIdColumn, encryption, columns, salt } =
-    getModelOptions(record).keyring;
+  return (sql) => {
+    if (!writeStatement.test(sql) || !sql.includes(table) || !pattern.test(sql))
+      return;
 
-  const keyring = Keyring(keys, { encryption, salt });
-  const keyringId = record[keyringIdColumn];
+    const message = `Raw query writes encrypted columns of ${table}, which bypasses encryption: ${sql}`;
+
+    if (mode === "throw") throw new Error(message);
+
+    process.emitWarning(message);
+  };
+};
+
+const guardRawQueries = (model, mode) => {
+  const { sequelize } = model;
+  const guards =
+    rawQueryGuards.get(sequelize) ||
+    (mode ? installRawQueryGuards(sequelize) : null);
+
+  if (!guards) return;
+
+  if (mode) guards.set(model.name, rawQueryGuard(model, mode));
+  else guards.delete(model.name);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Records are stale when any keyring id column isn't using its current key,
+// and one of its columns holds a value. Values set to `null` keep the record's
+// keyring id, but don't use its key.
+const staleCondition = async (columns) => {
+  const conditions = [];
+  const seen = [];
+
+  for (const column of columns) {
+    if (seen.includes(column.keyringIdColumn)) continue;
+
+    const keyring = await resolveKeyring(column.keyring);
+    const encrypted = columns
+      .filter((other) => other.keyringIdColumn === column.keyringIdColumn)
+      .map((other) => ({ [other.encryptedColumn]: { [Op.ne]: null } }));
+
+    seen.push(column.keyringIdColumn);
+    conditions.push({
+      [column.keyringIdColumn]: { [Op.ne]: keyring.currentId() },
+      [Op.or]: encrypted,
+    });
+  }
+
+  return conditions.length === 1 ? conditions[0] : { [Op.or]: conditions };
+};
+
+const rotate = async (
+  model,
+  { batchSize = 1000, delay = 0, after, onProgress } = {}
+) => {
+  const primaryKey = model.primaryKeyAttribute;
+  const stale = await staleCondition(model.options.keyring.columns);
+  const total = await model.count({ where: stale });
+  let processed = 0;
+  let cursor = after;
+
+  for (;;) {
+    const where =
+      cursor === undefined
+        ? stale
+        : {
+            [Op.and]: [stale, { [primaryKey]: { [Op.gt]: cursor } }],
+          };
+
+    const records = await model.sequelize.transaction(async (transaction) => {
+      // Locked, so concurrent writes aren't overwritten by the values read
+      // here.
+      const records = await model.findAll({
+        where,
+        order: [[primaryKey, "ASC"]],
+        limit: batchSize,
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      for (const record of records) await record.save({ transaction });
+
+      return records;
+    });
+
+    if (records.length === 0) break;
+
+    processed += records.length;
+    cursor = records[records.length - 1].get(primaryKey);
+
+    if (onProgress) await onProgress({ processed, total, cursor });
+    if (records.length < batchSize) break;
+    if (delay) await sleep(delay);
+  }
+
+  const remaining = await model.count({ where: stale });
+
+  return { processed, remaining, cursor };
+};
+
+const plaintextPolicies = ["keep", "null", "drop"];
+
+const encryptedColumnPolicies = ["keep", "drop"];
+
+// The table options shared by encryptTable() and decryptTable(). Columns are
+// resolved as if the model only had its plaintext columns, so set `naming`
+// when the model uses camelCase column names.
+const migrationOptions = async (
+  queryInterface,
+  {
+    table,
+    model = table,
+    primaryKey = "id",
+    autoIncrement,
+    columns,
+    naming,
+    encryption = "aes-128-cbc",
+    keyringIdColumn = "keyring_id",
+    batchSize = 1000,
+    onProgress,
+    transaction,
+    ...keyringOptions
+  }
+) => {
+  const description = await queryInterface.describeTable(table, {
+    transaction,
+  });
+  const id = description[primaryKey];
+
+  if (!id) throw new Error(`Table ${table} has no ${primaryKey} column`);
+
+  // Sequelize doesn't bind values to auto-increment ids; see
+  // encryptionContext().
+  if (autoIncrement === undefined)
+    autoIncrement =
+      Boolean(id.autoIncrement) || /^nextval\(/i.test(String(id.defaultValue));
+
+  const resolved = resolveColumns(
+    columns,
+    { ...keyringOptions, encryption, naming, keyringIdColumn },
+    { attributes: Object.keys(description) }
+  );
+
+  // Plaintext column types, used when decryptTable() adds them back.
+  const types = new Map(
+    columns.map((column) =>
+      isString(column)
+        ? [column, DataTypes.TEXT]
+        : [column.name, column.type || DataTypes.TEXT]
+    )
+  );
+
+  return {
+    table,
+    model,
+    primaryKey,
+    autoIncrement,
+    columns: resolved,
+    types,
+    batchSize,
+    onProgress,
+    transaction,
+    description,
+  };
+};
+
+const rowContext = ({ model, primaryKey, autoIncrement }, column, row) => {
+  const context = { model, column: column.name };
+
+  if (autoIncrement || column.deterministic) return context;
+
+  context.id = row[primaryKey];
+
+  return context;
+};
+
+// Select rows matching `where` in primary key order, and process them in
+// batches. Each batch runs inside its own transaction, unless the migration
+// passed its own.
+const eachBatch = async (queryInterface, options, where, transform) => {
+  const { table, primaryKey, batchSize, onProgress } = options;
+  const { sequelize } = queryInterface;
+  let processed = 0;
+  let cursor;
+
+  const run = (callback) =>
+    options.transaction
+      ? callback(options.transaction)
+      : sequelize.transaction(callback);
+
+  for (;;) {
+    const rows = await run(async (transaction) => {
+      const rows = await queryInterface.select(null, table, {
+        where:
+          cursor === undefined
+            ? where
+            : { [Op.and]: [where, { [primaryKey]: { [Op.gt]: cursor } }] },
+        order: [[primaryKey, "ASC"]],
+        limit: batchSize,
+        raw: true,
+        transaction,
+      });
+
+      for (const row of rows) {
+        const values = await transform(row);
+
+        await queryInterface.bulkUpdate(
+          table,
+          values,
+          { [primaryKey]: row[primaryKey] },
+          { transaction }
+        );
+      }
+
+      return rows;
+    });
+
+    if (rows.length === 0) break;
+
+    processed += rows.length;
+    cursor = rows[rows.length - 1][primaryKey];
+
+    if (onProgress) await onProgress({ processed, cursor });
+    if (rows.length < batchSize) break;
+  }
+
+  return processed;
+};
+
+const addMissingColumns = async (queryInterface, options, columns) => {
+  const { table, description, transaction } = options;
+
+  for (const [name, type] of columns) {
+    if (description[name]) continue;
+
+    await queryInterface.addColumn(
+      table,
+      name,
+      { type, allowNull: true },
+      { transaction }
+    );
+    description[name] = { type };
+  }
+};
+
+const removeColumns = async (queryInterface, options, names) => {
+  const { table, description, transaction } = options;
+
+  for (const name of union(names)) {
+    if (!description[name]) continue;
+
+    await queryInterface.removeColumn(table, name, { transaction });
+    delete description[name];
+  }
+};
+
+// Decrypt a random sample of rows and compare them with their plaintext.
+const verifySample = async (queryInterface, options, size) => {
+  const { table, primaryKey, columns, transaction } = options;
+  let verified = 0;
+
+  for (const column of columns) {
+    const keyring = await resolveKeyring(column.keyring);
+    const rows = await queryInterface.select(null, table, {
+      where: { [column.encryptedColumn]: { [Op.ne]: null } },
+      order: [queryInterface.sequelize.random()],
+      limit: size,
+      raw: true,
+      transaction,
+    });
+
+    for (const row of rows) {
+      const value = keyring.decrypt(
+        row[column.encryptedColumn],
+        row[column.keyringIdColumn],
+        rowContext(options, column, row)
+      );
+
+      if (!isDeepStrictEqual(value, row[column.name]))
+        throw new Error(
+          `Encrypted ${table}.${column.name} doesn't match its plaintext for ${primaryKey}=${row[primaryKey]}`
+        );
+    }
+
+    verified += rows.length;
+  }
+
+  return verified;
+};
+
+const encryptTable = async (
+  queryInterface,
+  { plaintext = "keep", verify = 100, ...tableOptions }
+) => {
+  if (!plaintextPolicies.includes(plaintext))
+    throw new Error(`Unknown plaintext policy: ${plaintext}`);
+
+  const options = await migrationOptions(queryInterface, tableOptions);
+  const { table, primaryKey, columns } = options;
 
   columns.forEach((column) => {
-    const keyringId = record[keyringIdColumn];
-    const encrypted = record[`encrypted_${column}`];
-    const value = isString(encrypted)
-      ? keyring.decrypt(encrypted, keyringId)
-      : null;
-    record[column] = value;
+    if (!options.description[column.name])
+      throw new Error(`Table ${table} has no ${column.name} column`);
   });
+
+  await addMissingColumns(
+    queryInterface,
+    options,
+    columns.flatMap((column) => [
+      [column.encryptedColumn, DataTypes.TEXT],
+      ...(column.digestColumn ? [[column.digestColumn, DataTypes.TEXT]] : []),
+      [column.keyringIdColumn, DataTypes.INTEGER],
+    ])
+  );
+
+  // Only values that haven't been encrypted yet, so an interrupted migration
+  // can be run again.
+  const pending = (column) => ({
+    [column.encryptedColumn]: null,
+    [column.name]: { [Op.ne]: null },
+  });
+
+  const processed = await eachBatch(
+    queryInterface,
+    options,
+    { [Op.or]: columns.map(pending) },
+    async (row) => {
+      const values = {};
+
+      for (const column of columns) {
+        if (row[column.encryptedColumn] !== null || row[column.name] === null)
+          continue;
+
+        const keyring = await resolveKeyring(column.keyring);
+        const keyringId = row[column.keyringIdColumn];
+
+        // Other values of the row may have been encrypted with an older key,
+        // and they share the keyring id column.
+        if (
+          keyringId !== null &&
+          keyringId !== undefined &&
+          keyringId !== keyring.currentId()
+        )
+          throw new Error(
+            `Cannot encrypt ${table}.${column.name} for ${primaryKey}=${row[primaryKey]} because its ${column.keyringIdColumn} isn't the current key; rotate keys first`
+          );
+
+        const result = encryptValue(
+          keyring,
+          row[column.name],
+          rowContext(options, column, row),
+          keyringId,
+          { deterministic: column.deterministic }
+        );
+
+        values[column.encryptedColumn] = result.encrypted;
+        values[column.keyringIdColumn] = result.keyringId;
+
+        if (column.digestColumn) values[column.digestColumn] = result.digest;
+      }
+
+      return values;
+    }
+  );
+
+  const verified = verify
+    ? await verifySample(queryInterface, options, verify)
+    : 0;
+
+  if (plaintext === "null")
+    await queryInterface.bulkUpdate(
+      table,
+      Object.fromEntries(columns.map((column) => [column.name, null])),
+      {},
+      { transaction: options.transaction }
+    );
+
+  if (plaintext === "drop")
+    await removeColumns(
+      queryInterface,
+      options,
+      columns.map((column) => column.name)
+    );
+
+  return { processed, verified };
+};
+
+const decryptTable = async (
+  queryInterface,
+  { encrypted = "drop", ...tableOptions }
+) => {
+  if (!encryptedColumnPolicies.includes(encrypted))
+    throw new Error(`Unknown encrypted column policy: ${encrypted}`);
+
+  const options = await migrationOptions(queryInterface, tableOptions);
+  const { columns, types } = options;
+
+  await addMissingColumns(
+    queryInterface,
+    options,
+    columns.map((column) => [column.name, types.get(column.name)])
+  );
+
+  const pending = (column) => ({
+    [column.name]: null,
+    [column.encryptedColumn]: { [Op.ne]: null },
+  });
+
+  const processed = await eachBatch(
+    queryInterface,
+    options,
+    { [Op.or]: columns.map(pending) },
+    async (row) => {
+      const values = {};
+
+      for (const column of columns) {
+        if (row[column.name] !== null || !isString(row[column.encryptedColumn]))
+          continue;
+
+        const keyring = await resolveKeyring(column.keyring);
+
+        values[column.name] = keyring.decrypt(
+          row[column.encryptedColumn],
+          row[column.keyringIdColumn],
+          rowContext(options, column, row)
+        );
+      }
+
+      return values;
+    }
+  );
+
+  if (encrypted === "drop")
+    await removeColumns(
+      queryInterface,
+      options,
+      columns.flatMap((column) => [
+        column.encryptedColumn,
+        ...(column.digestColumn ? [column.digestColumn] : []),
+        column.keyringIdColumn,
+      ])
+    );
+
+  return { processed };
 };
 
 const setup = (
@@ -61,19 +855,84 @@ const setup = (
     keys,
     columns,
     salt,
+    indexKeys,
+    activeId,
+    onOperation,
+    naming,
     encryption = "aes-128-cbc",
+    decryption,
     keyringIdColumn = "keyring_id",
+    onDecryptError = "throw",
+    rawQueryGuard: rawQueryGuardMode,
   }
 ) => {
+  if (rawQueryGuardMode && !rawQueryGuardModes.includes(rawQueryGuardMode))
+    throw new Error(`Unknown raw query guard mode: ${rawQueryGuardMode}`);
+
+  validateDecryptionErrorPolicy(onDecryptError);
+
+  const resolvedColumns = resolveColumns(
+    columns,
+    {
+      keys,
+      encryption,
+      decryption,
+      salt,
+      indexKeys,
+      activeId,
+      onOperation,
+      naming,
+      keyringIdColumn,
+    },
+    {
+      attributes: Object.keys(model.rawAttributes),
+      underscored: model.options.underscored,
+    }
+  );
+
   model.options.keyring = {
     keys,
-    columns,
+    columns: resolvedColumns,
     encryption,
     keyringIdColumn,
     salt,
+    indexKeys,
+    activeId,
+    onDecryptError,
   };
+
+  resolvedColumns.forEach((column) => {
+    const attribute = model.rawAttributes[column.name];
+
+    if (!attribute)
+      throw new Error(
+        `Encrypted column ${column.name} must be defined as a VIRTUAL attribute`
+      );
+
+    attribute.get = decryptingGetter(model, column);
+    attribute.set = clearingSetter(column);
+  });
+
+  model.refreshAttributes();
   model.beforeSave(beforeSave);
   model.afterFind(afterFind);
+
+  const rewriteQuery = (options) => beforeQuery(model, options);
+
+  model.beforeFind(rewriteQuery);
+  model.beforeCount(rewriteQuery);
+  model.beforeBulkDestroy(rewriteQuery);
+  model.beforeBulkCreate((records, options) =>
+    beforeBulkCreate(model, records, options)
+  );
+  model.beforeBulkUpdate((options) => beforeBulkUpdate(model, options));
+  model.beforeUpdate(beforeUpdate);
+
+  guardRawQueries(model, rawQueryGuardMode);
 };
 
+setup.rotate = rotate;
+setup.encryptTable = encryptTable;
+setup.decryptTable = decryptTable;
+
 module.exports = setup;
@@ -0,0 +1,121 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { run } = require("../cli");
+const { keyring } = require("../keyring");
+
+const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+const env = { USER_KEYRING: JSON.stringify(keys) };
+
+suite("cli", () => {
+  let file;
+
+  setup(() => {
+    file = path.join(os.tmpdir(), `keyring-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(keys));
+  });
+
+  teardown(() => {
+    fs.unlinkSync(file);
+  });
+
+  test("should generates keys using the right size", () => {
+    const size = (encryption) =>
+      Buffer.from(run(["generate", "--encryption", encryption]), "base64")
+        .length;
+
+    assert.equal(Buffer.from(run(["generate"]), "base64").length, 32);
+    assert.equal(size("aes-256-cbc"), 64);
+    assert.equal(size("aes-128-gcm"), 16);
+    assert.equal(size("chacha20-poly1305"), 32);
+  });
+
+  test("should adds key to keyring file", () => {
+    run(["add-key", "--file", file]);
+
+    const updated = JSON.parse(fs.readFileSync(file));
+
+    assert.deepEqual(Object.keys(updated), ["1", "2"]);
+    assert.equal(updated[1], keys[1]);
+  });
+
+  test("should prints keyring with new key when using env var", () => {
+    const updated = JSON.parse(
+      run(["add-key", "--env", "USER_KEYRING", "--id", "5"], env)
+    );
+
+    assert.deepEqual(Object.keys(updated), ["1", "5"]);
+  });
+
+  test("should validates keyring", () => {
+    assert.equal(
+      run(["validate", "--env", "USER_KEYRING"], env),
+      "Keyring is valid: 1 key(s), current id is 1"
+    );
+
+    assert.throws(() => {
+      run(["validate", "--file", file, "--encryption", "aes-256-cbc"]);
+    }, "Expected key to be 64 bytes long; got 32 instead");
+  });
+
+  test("should encrypts and decrypts messages", () => {
+    const { encrypted, keyringId, digest } = JSON.parse(
+      run(["encrypt", "42", "--file", file, "--salt", "a"])
+    );
+
+    assert.equal(keyringId, 1);
+    assert.equal(digest, "118c884d37dde5fb6816daba052d94e82f1dc41f");
+    assert.equal(run(["decrypt", encrypted, "--file", file]), "42");
+  });
+
+  test("should encrypts and decrypts messages using context", () => {
+    const context = JSON.stringify({ table: "users", id: 1 });
+    const { encrypted } = JSON.parse(
+      run(["encrypt", "42", "--file", file, "--salt", "", "--context", context])
+    );
+
+    assert.equal(
+      run(["decrypt", encrypted, "--file", file, "--context", context]),
+      "42"
+    );
+    assert.throws(() => run(["decrypt", encrypted, "--file", file]));
+  });
+
+  test("should prints decrypted values by type", () => {
+    const encryptor = keyring(keys, { salt: "" });
+    const decrypt = (value) =>
+      run(["decrypt", encryptor.encrypt(value)[0], "--file", file]);
+
+    assert.equal(decrypt(42), "42");
+    assert.equal(decrypt(true), "true");
+    assert.equal(decrypt({ a: [1, "b"] }), '{"a":[1,"b"]}');
+    assert.equal(
+      decrypt(new Date("2024-01-02T03:04:05.000Z")),
+      "2024-01-02T03:04:05.000Z"
+    );
+    assert.equal(decrypt(Buffer.from([0, 1, 255])), "AAH/");
+  });
+
+  test("should generates digests", () => {
+    assert.equal(
+      run(["digest", "42", "--salt", "a"]),
+      "118c884d37dde5fb6816daba052d94e82f1dc41f"
+    );
+
+    assert.throws(() => run(["digest", "42"]), /salt/);
+  });
+
+  test("should exits with error for unknown commands", () => {
+    const cli = path.join(__dirname, "..", "cli.js");
+
+    try {
+      execFileSync(process.execPath, [cli, "unknown"], { stdio: "pipe" });
+      assert.fail("expected command to fail");
+    } catch (error) {
+      assert.equal(error.status, 1);
+      assert.match(error.stderr.toString(), /Unknown command: unknown/);
+    }
+  });
+});
@@ -0,0 +1,125 @@
+const { assert } = require("chai");
+const {
+  encryptedFields,
+  resolveColumns,
+  resolveKeyring,
+} = require("../fields");
+const { IntegrityError } = require("../keyring");
+
+const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+
+suite("fields", () => {
+  test("should resolves column names", () => {
+    const [email, phoneNumber, secret] = resolveColumns(
+      ["email", "phoneNumber", { name: "secret", digestColumn: false }],
+      { keys, salt: "" }
+    );
+
+    assert.equal(email.encryptedColumn, "encrypted_email");
+    assert.equal(email.digestColumn, "email_digest");
+    assert.equal(email.keyringIdColumn, "keyring_id");
+    assert.equal(phoneNumber.encryptedColumn, "encryptedPhoneNumber");
+    assert.equal(phoneNumber.digestColumn, "phoneNumberDigest");
+    assert.isNull(secret.digestColumn);
+  });
+
+  test("should encrypts and decrypts rows", async () => {
+    const fields = encryptedFields({
+      model: "users",
+      keys,
+      columns: ["email"],
+      salt: "",
+      primaryKey: "id",
+    });
+    const row = await fields.encrypt({ id: 1, email: "EMAIL", name: "John" });
+
+    assert.deepEqual(Object.keys(row).sort(), [
+      "email_digest",
+      "encrypted_email",
+      "id",
+      "keyring_id",
+      "name",
+    ]);
+
+    const [decrypted, partial] = await fields.decrypt([row, { id: 1 }]);
+
+    assert.equal(decrypted.email, "EMAIL");
+    assert.isUndefined(partial.email);
+
+    try {
+      await fields.decrypt({ ...row, id: 2 });
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.instanceOf(error, IntegrityError);
+    }
+  });
+
+  test("should retries loading keys after a failure", async () => {
+    let loads = 0;
+    const provider = {
+      load: async () => {
+        loads += 1;
+
+        if (loads === 1) throw new Error("KMS is unavailable");
+
+        return keys;
+      },
+    };
+    const options = { keys: provider, salt: "", encryption: "aes-128-cbc" };
+
+    try {
+      await resolveKeyring(options);
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.equal(error.message, "KMS is unavailable");
+    }
+
+    const keyring = await resolveKeyring(options);
+
+    assert.equal(keyring.currentId(), 1);
+    assert.strictEqual(await resolveKeyring(options), keyring);
+    assert.equal(loads, 2);
+  });
+
+  test("should only writes existing digest columns", async () => {
+    const fields = encryptedFields({
+      model: "users",
+      keys,
+      columns: ["email"],
+      salt: "",
+      attributes: ["encrypted_email", "keyring_id"],
+    });
+    const row = await fields.encrypt({ email: "EMAIL" });
+
+    assert.notProperty(row, "email_digest");
+
+    try {
+      await fields.digests("email", "EMAIL");
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.equal(
+        error.message,
+        "Encrypted column email can't be queried because it has no digest column (email_digest)"
+      );
+    }
+  });
+
+  test("should looks up deterministic columns by encrypted column", async () => {
+    const fields = encryptedFields({
+      model: "users",
+      keys,
+      columns: [{ name: "email", digestColumn: false, deterministic: true }],
+      salt: "",
+      primaryKey: "id",
+    });
+    const john = await fields.encrypt({ id: 1, email: "EMAIL" });
+    const mary = await fields.encrypt({ id: 2, email: "EMAIL" });
+
+    assert.equal(john.encrypted_email, mary.encrypted_email);
+    assert.equal((await fields.decrypt(mary)).email, "EMAIL");
+    assert.deepEqual(await fields.digests("email", "EMAIL"), {
+      column: "encrypted_email",
+      digests: [john.encrypted_email],
+    });
+  });
+});
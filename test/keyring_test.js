@@ -1,5 +1,15 @@
 const { assert } = require("chai");
-const { keyring } = require("../keyring");
+const crypto = require("crypto");
+const {
+  keyring,
+  deriveKeys,
+  generateKey,
+  usageCounter,
+  KeyNotFoundError,
+  IntegrityError,
+  MalformedCiphertextError,
+  ConfigurationError,
+} = require("../keyring");
 
 suite("keyring", () => {
   test("should raises exception for missing digest salt", () => {
@@ -81,10 +91,927 @@ test("should sets keyring id", () => {
   assert.equal(keyringId, 1);
 });
 
-test("should throws exception when trying to encrypt non-string", () => {
+test("should throws exception when trying to encrypt unsupported types", () => {
   const keys = { 0: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
 
   assert.throws(() => {
-    keyring(keys, { salt: "" }).encrypt(1234);
+    keyring(keys, { salt: "" }).encrypt(() => 1234);
+  }, 'Cannot encrypt values of type "function"');
+
+  assert.throws(() => {
+    keyring(keys, { salt: "" }).encrypt(null);
+  }, 'Cannot encrypt values of type "null"');
+});
+
+["aes-128-gcm", "aes-256-gcm", "chacha20-poly1305"].forEach((encryption) => {
+  const keySize = encryption === "aes-128-gcm" ? 16 : 32;
+  const keys = { 0: crypto.randomBytes(keySize).toString("base64") };
+
+  test(`should encrypts property using ${encryption}`, () => {
+    const options = { encryption, salt: "" };
+    const [encrypted, keyringId] = keyring(keys, options).encrypt("42");
+    const decrypted = keyring(keys, options).decrypt(encrypted, keyringId);
+
+    assert.notEqual(encrypted, undefined);
+    assert.notEqual(encrypted, "42");
+    assert.equal(decrypted, "42");
+  });
+
+  test(`should detects tampered message using ${encryption}`, () => {
+    const options = { encryption, salt: "" };
+    const [encrypted, keyringId] = keyring(keys, options).encrypt("42");
+    const decoded = Buffer.from(encrypted, "base64");
+    decoded[decoded.length - 1] ^= 1;
+
+    assert.throws(() => {
+      keyring(keys, options).decrypt(decoded.toString("base64"), keyringId);
+    }, IntegrityError);
+  });
+
+  test(`should raises exception for invalid key size using ${encryption}`, () => {
+    assert.throws(() => {
+      keyring(
+        { 0: crypto.randomBytes(keySize * 2).toString("base64") },
+        { encryption, salt: "" }
+      );
+    }, `Expected key to be ${keySize} bytes long`);
+  });
+});
+
+test("should embeds version, algorithm and keyring id into the message", () => {
+  const keys = { 3: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const [encrypted] = keyring(keys, { salt: "" }).encrypt("42");
+
+  assert.match(encrypted, /^v2:aes-128-cbc:3:string:/);
+});
+
+test("should decrypts message without keyring id", () => {
+  const keys = {
+    1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+    2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+  };
+  const [encrypted] = keyring({ 1: keys[1] }, { salt: "" }).encrypt("42");
+
+  assert.equal(keyring(keys, { salt: "" }).decrypt(encrypted), "42");
+});
+
+test("should decrypts message using the algorithm from the envelope", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const [encrypted] = keyring(keys, {
+    encryption: "aes-256-gcm",
+    salt: "",
+  }).encrypt("42");
+
+  assert.equal(
+    keyring(keys, { salt: "", decryption: ["aes-256-gcm"] }).decrypt(encrypted),
+    "42"
+  );
+});
+
+test("should rejects messages using algorithms that aren't allowed", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const [encrypted] = keyring(keys, {
+    encryption: "aes-256-gcm",
+    salt: "",
+  }).encrypt("42");
+
+  assert.throws(() => {
+    keyring(keys, { salt: "" }).decrypt(encrypted);
+  }, "Messages encrypted with aes-256-gcm can't be decrypted; add it to the `decryption` option to allow it");
+
+  assert.throws(() => {
+    keyring(keys, { salt: "", decryption: ["rot13"] });
+  }, "Encryption algorithm not recognized or unsupported: rot13");
+});
+
+test("should decrypts version 0 messages", () => {
+  const keys = { 1: "7K0xBRrumkPm03UKS3g4MFm2gGCrFCa3eXnBWigOdlM=" };
+  const encrypted =
+    "UUXMN2NmF8703gNMawcecwgdfQRPUpXBWyGnlklwmGCU/oMKKQa9C41CyXiF6jT806GmZrM+Zql5QSYBy5H18A==";
+
+  assert.equal(keyring(keys, { salt: "" }).decrypt(encrypted, 1), "42");
+});
+
+test("should decrypts version 1 messages", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const encrypted =
+    "v1:aes-128-cbc:1:4mDB0kE0sYxiVXLWE4TbsiTcSoJKKmpwpXxBwz9OPfvUoHB4YZWUTIHeX42Mwlu0blOgZrKp0p4w1Us86ae7BQ==";
+
+  assert.equal(keyring(keys, { salt: "" }).decrypt(encrypted), "42");
+});
+
+test("should raises exception when decrypting version 0 message without keyring id", () => {
+  const keys = { 1: "7K0xBRrumkPm03UKS3g4MFm2gGCrFCa3eXnBWigOdlM=" };
+  const encrypted =
+    "UUXMN2NmF8703gNMawcecwgdfQRPUpXBWyGnlklwmGCU/oMKKQa9C41CyXiF6jT806GmZrM+Zql5QSYBy5H18A==";
+
+  assert.throws(() => {
+    keyring(keys, { salt: "" }).decrypt(encrypted);
+  }, "Keyring id is required to decrypt version 0 messages");
+});
+
+test("should raises exception for unsupported message version", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+
+  assert.throws(() => {
+    keyring(keys, { salt: "" }).decrypt("v9:aes-128-cbc:1:AAAA");
+  }, "Unsupported ciphertext version: v9");
+});
+
+test("should authenticates the envelope header", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const [encrypted] = keyring(keys, {
+    encryption: "aes-256-gcm",
+    salt: "",
+  }).encrypt("42");
+  const tampered = encrypted.replace("aes-256-gcm", "chacha20-poly1305");
+
+  assert.throws(() => {
+    keyring(keys, {
+      salt: "",
+      decryption: ["aes-256-gcm", "chacha20-poly1305"],
+    }).decrypt(tampered);
+  }, IntegrityError);
+});
+
+test("should rejects contexts with nested values", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const encryptor = keyring(keys, { salt: "" });
+
+  assert.throws(() => {
+    encryptor.encrypt("42", { a: { id: 1 } });
+  }, "Context value a must be a string, a number, a boolean or null");
+
+  assert.throws(() => {
+    encryptor.encrypt("42", 42);
+  }, "Context must be a string or a plain object");
+
+  assert.throws(() => {
+    encryptor.encryptObject(
+      { email: "john@example.com" },
+      { fields: ["email"], context: { user: { id: 1 } } }
+    );
+  }, ConfigurationError);
+});
+
+test("should decrypts message using the same context", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const context = { table: "users", column: "email", id: 1 };
+  const encryptor = keyring(keys, { salt: "" });
+  const [encrypted] = encryptor.encrypt("42", context);
+
+  assert.equal(
+    encryptor.decrypt(encrypted, null, {
+      id: "1",
+      column: "email",
+      table: "users",
+    }),
+    "42"
+  );
+});
+
+["aes-128-cbc", "aes-256-gcm"].forEach((encryption) => {
+  test(`should raises exception for mismatching context using ${encryption}`, () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const encryptor = keyring(keys, { encryption, salt: "" });
+    const [encrypted] = encryptor.encrypt("42", {
+      table: "users",
+      column: "email",
+      id: 1,
+    });
+
+    assert.throws(() => {
+      encryptor.decrypt(encrypted, null, {
+        table: "users",
+        column: "email",
+        id: 2,
+      });
+    }, IntegrityError);
+
+    assert.throws(() => {
+      encryptor.decrypt(encrypted);
+    }, IntegrityError);
+  });
+});
+
+test("should returns blind index using index key", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const indexKeys = { 1: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=" };
+  const [, , digest] = keyring(keys, { indexKeys }).encrypt("42");
+  const expected = crypto
+    .createHmac("sha256", Buffer.from(indexKeys[1], "base64"))
+    .update("42")
+    .digest("hex");
+
+  assert.equal(digest, `hmac-sha256:1:${expected}`);
+  assert.equal(keyring(keys, { indexKeys }).digestKeyId(digest), 1);
+});
+
+test("should uses the latest index key", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const indexKeys = {
+    1: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+    2: "VV3X9u91C5siPvYeFb0Ne43Twxi6NQXkAniVvnzAgrg=",
+  };
+  const encryptor = keyring(keys, { indexKeys });
+
+  assert.equal(encryptor.digestKeyId(encryptor.digest("42")), 2);
+});
+
+test("should returns all candidate digests", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const indexKeys = {
+    1: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+    2: "VV3X9u91C5siPvYeFb0Ne43Twxi6NQXkAniVvnzAgrg=",
+  };
+  const encryptor = keyring(keys, { indexKeys, salt: "a" });
+  const digests = encryptor.digests("42");
+
+  assert.equal(digests.length, 3);
+  assert.equal(digests[0], encryptor.digest("42"));
+  assert.equal(encryptor.digestKeyId(digests[1]), 1);
+  assert.equal(digests[2], "118c884d37dde5fb6816daba052d94e82f1dc41f");
+  assert.isNull(encryptor.digestKeyId(digests[2]));
+});
+
+test("should raises exception for invalid index key size", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+
+  assert.throws(() => {
+    keyring(keys, { indexKeys: { 1: crypto.randomBytes(16) } });
+  }, "Expected index key to be 32 bytes long; got 16 instead");
+});
+
+test("should not encrypt using decrypt-only keys", () => {
+  const keys = {
+    1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+    2: {
+      key: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+      state: "decrypt-only",
+    },
+  };
+  const encryptor = keyring(keys, { salt: "" });
+  const [encrypted, keyringId] = encryptor.encrypt("42");
+  const [staged] = keyring(
+    { 2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=" },
+    { salt: "" }
+  ).encrypt("42");
+
+  assert.equal(keyringId, 1);
+  assert.equal(encryptor.currentId(), 1);
+  assert.equal(encryptor.decrypt(encrypted), "42");
+  assert.equal(encryptor.decrypt(staged), "42");
+});
+
+test("should raises exception when decrypting using disabled key", () => {
+  const key = "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=";
+  const [encrypted] = keyring({ 1: key }, { salt: "" }).encrypt("42");
+  const encryptor = keyring(
+    {
+      1: { key, state: "disabled" },
+      2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+    },
+    { salt: "" }
+  );
+
+  assert.throws(() => {
+    encryptor.decrypt(encrypted);
+  }, "key=1 is disabled and can't be used for decryption");
+});
+
+test("should respects notBefore and expiresAt dates", () => {
+  const hour = 60 * 60 * 1000;
+  const keys = {
+    1: {
+      key: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+      expiresAt: new Date(Date.now() - hour),
+    },
+    2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+    3: {
+      key: "VV3X9u91C5siPvYeFb0Ne43Twxi6NQXkAniVvnzAgrg=",
+      notBefore: new Date(Date.now() + hour).toISOString(),
+    },
+  };
+
+  assert.equal(keyring(keys, { salt: "" }).currentId(), 2);
+});
+
+test("should uses pinned active id", () => {
+  const keys = {
+    1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+    2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+  };
+  const [, keyringId] = keyring(keys, { salt: "", activeId: 1 }).encrypt("42");
+
+  assert.equal(keyringId, 1);
+});
+
+test("should raises exception when pinned key can't encrypt", () => {
+  const keys = {
+    1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+    2: {
+      key: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+      state: "decrypt-only",
+    },
+  };
+
+  assert.throws(() => {
+    keyring(keys, { salt: "", activeId: 2 }).encrypt("42");
+  }, "key=2 can't be used for encryption; it is decrypt-only");
+
+  assert.throws(() => {
+    keyring(keys, { salt: "", activeId: 3 });
+  }, "key=3 is not available on keyring");
+});
+
+test("should raises exception when there are no active keys", () => {
+  const keys = {
+    1: {
+      key: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+      state: "decrypt-only",
+    },
+  };
+
+  assert.throws(() => {
+    keyring(keys, { salt: "" }).encrypt("42");
+  }, "There are no active keys available for encryption");
+});
+
+test("should raises exception for invalid key metadata", () => {
+  const key = "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=";
+
+  assert.throws(() => {
+    keyring({ 1: { key, state: "retired" } }, { salt: "" });
+  }, /key=1 has invalid state: retired/);
+
+  assert.throws(() => {
+    keyring({ 1: { key, expiresAt: "tomorrow" } }, { salt: "" });
+  }, "key=1 has invalid expiresAt: tomorrow");
+});
+
+[
+  ["string", "42"],
+  ["buffer", Buffer.from([0, 1, 2, 255])],
+  ["number", 42.5],
+  ["boolean", false],
+  ["date", new Date("2023-07-01T12:00:00.000Z")],
+  ["json", { name: "John", tags: ["a", "b"], nested: { active: true } }],
+  ["json", [1, "2", null]],
+].forEach(([type, value]) => {
+  test(`should encrypts ${type} values preserving their type`, () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const encryptor = keyring(keys, { salt: "" });
+    const [encrypted] = encryptor.encrypt(value);
+
+    assert.match(encrypted, new RegExp(`^v2:aes-128-cbc:1:${type}:`));
+    assert.deepEqual(encryptor.decrypt(encrypted), value);
+  });
+});
+
+test("should authenticates the value type", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const encryptor = keyring(keys, { salt: "" });
+  const [encrypted] = encryptor.encrypt(42);
+
+  assert.throws(() => {
+    encryptor.decrypt(encrypted.replace(":number:", ":string:"));
+  }, IntegrityError);
+});
+
+test("should returns digests for non-string values", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const encryptor = keyring(keys, { salt: "a" });
+  const [, , digest] = encryptor.encrypt(42);
+
+  assert.equal(digest, "118c884d37dde5fb6816daba052d94e82f1dc41f");
+  assert.equal(
+    encryptor.digest(Buffer.from("42")),
+    encryptor.digest(Buffer.from("42").toString("base64"))
+  );
+});
+
+test("should derives keys from passphrase", async () => {
+  const params = { N: 1024, r: 8, p: 1 };
+  const salt = "c2FsdHNhbHRzYWx0c2FsdA==";
+  const entry = await deriveKeys("correct horse battery staple", {
+    params,
+    salt,
+  });
+
+  assert.equal(Buffer.from(entry.key, "base64").length, 32);
+  assert.deepEqual(entry.derivation, {
+    kdf: "scrypt",
+    params,
+    salt,
+    encryption: "aes-128-cbc",
+  });
+
+  const again = await deriveKeys(
+    "correct horse battery staple",
+    entry.derivation
+  );
+  const other = await deriveKeys("wrong passphrase", entry.derivation);
+
+  assert.equal(again.key, entry.key);
+  assert.notEqual(other.key, entry.key);
+
+  const encryptor = keyring({ 1: entry }, { salt: "" });
+  const [encrypted] = encryptor.encrypt("42");
+
+  assert.equal(keyring({ 1: again }, { salt: "" }).decrypt(encrypted), "42");
+});
+
+test("should derives keys using pbkdf2", async () => {
+  const entry = await deriveKeys("passphrase", {
+    kdf: "pbkdf2",
+    params: { iterations: 1000 },
+    encryption: "aes-256-gcm",
+  });
+
+  assert.equal(Buffer.from(entry.key, "base64").length, 32);
+  assert.deepEqual(entry.derivation.params, {
+    iterations: 1000,
+    digest: "sha256",
+  });
+
+  const encryptor = keyring(
+    { 1: entry },
+    { salt: "", encryption: "aes-256-gcm" }
+  );
+  const [encrypted] = encryptor.encrypt("42");
+
+  assert.equal(encryptor.decrypt(encrypted), "42");
+});
+
+test("should rejects unsupported key derivation functions", async () => {
+  try {
+    await deriveKeys("passphrase", { kdf: "md5" });
+    assert.fail("should have thrown");
+  } catch (error) {
+    assert.equal(
+      error.message,
+      "Key derivation function not recognized or unsupported: md5"
+    );
+  }
+});
+
+test("should expands hkdf master keys", () => {
+  const master = "VV3X9u91C5siPvYeFb0Ne43Twxi6NQXkAniVvnzAgrg=";
+  const keys = {
+    1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+    2: { key: master, format: "hkdf" },
+  };
+  const [old] = keyring({ 1: keys[1] }, { salt: "" }).encrypt("OLD");
+  const mixed = keyring(keys, { salt: "" });
+  const [encrypted, keyringId] = mixed.encrypt("42");
+
+  assert.equal(keyringId, 2);
+  assert.equal(mixed.decrypt(encrypted), "42");
+  assert.equal(mixed.decrypt(old), "OLD");
+
+  ["aes-256-cbc", "aes-256-gcm"].forEach((encryption) => {
+    const encryptor = keyring({ 1: keys[2] }, { salt: "", encryption });
+
+    assert.equal(encryptor.decrypt(encryptor.encrypt("42")[0]), "42");
+  });
+
+  // Subkeys don't reuse the halves of the master secret.
+  assert.throws(() => {
+    keyring({ 1: master }, { salt: "" }).decrypt(encrypted);
+  });
+});
+
+test("should validates hkdf keys", () => {
+  assert.throws(() => {
+    keyring(
+      {
+        1: {
+          key: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+          format: "raw",
+        },
+      },
+      { salt: "" }
+    );
+  }, "key=1 has invalid format: raw; expected one of split, hkdf");
+
+  assert.throws(() => {
+    keyring(
+      { 1: { key: crypto.randomBytes(64).toString("base64"), format: "hkdf" } },
+      { salt: "" }
+    );
+  }, "Expected master key to be 32 bytes long; got 64 instead");
+
+  const entry = generateKey("aes-256-cbc", { format: "hkdf" });
+
+  assert.equal(entry.format, "hkdf");
+  assert.equal(Buffer.from(entry.key, "base64").length, 32);
+});
+
+test("should expands hkdf index keys", () => {
+  const master = "VV3X9u91C5siPvYeFb0Ne43Twxi6NQXkAniVvnzAgrg=";
+  const expanded = keyring(
+    { 1: { key: master, format: "hkdf" } },
+    { indexKeys: { 1: { key: master, format: "hkdf" } } }
+  );
+  const raw = keyring(
+    { 1: { key: master, format: "hkdf" } },
+    { indexKeys: { 1: master } }
+  );
+
+  assert.match(expanded.digest("42"), /^hmac-sha256:1:[0-9a-f]{64}$/);
+  assert.notEqual(expanded.digest("42"), raw.digest("42"));
+});
+
+test("should derives index keys from hkdf master keys", () => {
+  const master = "VV3X9u91C5siPvYeFb0Ne43Twxi6NQXkAniVvnzAgrg=";
+  const derived = keyring({ 1: { key: master, format: "hkdf" } });
+  const explicit = keyring(
+    { 1: { key: master, format: "hkdf" } },
+    { indexKeys: { 1: { key: master, format: "hkdf" } } }
+  );
+
+  assert.match(derived.digest("42"), /^hmac-sha256:1:[0-9a-f]{64}$/);
+  assert.equal(derived.digest("42"), explicit.digest("42"));
+});
+
+test("should reports operations without the plaintext", () => {
+  const events = [];
+  const encryptor = keyring(
+    { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+    { salt: "", onOperation: (event) => events.push(event) }
+  );
+  const [encrypted] = encryptor.encrypt("super secret", { column: "email" });
+
+  encryptor.decrypt(encrypted, undefined, { column: "email" });
+
+  assert.equal(events.length, 2);
+  events.forEach((event, index) => {
+    assert.equal(event.operation, index === 0 ? "encrypt" : "decrypt");
+    assert.equal(event.keyId, 1);
+    assert.equal(event.encryption, "aes-128-cbc");
+    assert.equal(event.bytes, 12);
+    assert.deepEqual(event.context, { column: "email" });
+    assert.isAtLeast(event.duration, 0);
+    assert.isUndefined(event.error);
+    assert.notInclude(JSON.stringify(event), "super secret");
+  });
+});
+
+test("should warns when the operation hook throws", async () => {
+  const warnings = [];
+  const listener = (warning) => warnings.push(warning.message);
+  const encryptor = keyring(
+    { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+    {
+      salt: "",
+      onOperation: () => {
+        throw new Error("collector is down");
+      },
+    }
+  );
+
+  process.on("warning", listener);
+
+  try {
+    const [encrypted] = encryptor.encrypt("42");
+
+    assert.equal(encryptor.decrypt(encrypted), "42");
+
+    await new Promise((resolve) => setImmediate(resolve));
+  } finally {
+    process.off("warning", listener);
+  }
+
+  assert.deepEqual(warnings, [
+    "The onOperation hook failed for encrypt: collector is down",
+    "The onOperation hook failed for decrypt: collector is down",
+  ]);
+});
+
+test("should reports failed operations", () => {
+  const events = [];
+  const encryptor = keyring(
+    { 2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=" },
+    { salt: "", onOperation: (event) => events.push(event) }
+  );
+  const [encrypted] = keyring(
+    { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+    { salt: "" }
+  ).encrypt("42");
+  const [tampered] = encryptor.encrypt("42", "users");
+
+  assert.throws(() => encryptor.decrypt(encrypted));
+  assert.throws(() => encryptor.decrypt(tampered, undefined, "accounts"));
+  assert.throws(() => encryptor.decrypt("v9:nope"));
+
+  assert.deepEqual(
+    events.slice(1).map(({ keyId, error }) => [keyId, error.reason]),
+    [
+      [1, "unknown-key"],
+      [2, "hmac-mismatch"],
+      [undefined, "malformed"],
+    ]
+  );
+});
+
+test("should counts decryptions per key", () => {
+  const usage = usageCounter();
+  const keys = {
+    1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+    2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+  };
+  const [old] = keyring({ 1: keys[1] }, { salt: "" }).encrypt("42");
+  const encryptor = keyring(keys, { salt: "", onOperation: usage.record });
+
+  encryptor.decrypt(encryptor.encrypt("42")[0]);
+  encryptor.decrypt(old);
+  encryptor.decrypt(old);
+  assert.throws(() => encryptor.decrypt(old, undefined, "other"));
+
+  const report = usage.report();
+
+  assert.deepInclude(report[1], { encrypt: 0, decrypt: 2, failures: 1 });
+  assert.deepInclude(report[2], { encrypt: 1, decrypt: 1, failures: 0 });
+  assert.instanceOf(report[1].lastDecryptedAt, Date);
+
+  usage.reset();
+
+  assert.deepEqual(usage.report(), {});
+});
+
+test("should authenticates messages before decrypting them", () => {
+  const encryptor = keyring(
+    { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+    { salt: "" }
+  );
+  const [encrypted] = encryptor.encrypt("42");
+  const parts = encrypted.split(":");
+  const payload = Buffer.from(parts.pop(), "base64");
+
+  // Flipping the last byte would break the padding, if it was ever checked.
+  payload[payload.length - 1] ^= 1;
+
+  const tampered = [...parts, payload.toString("base64")].join(":");
+
+  try {
+    encryptor.decrypt(tampered);
+    assert.fail("expected decryption to fail");
+  } catch (error) {
+    assert.instanceOf(error, IntegrityError);
+    assert.equal(error.name, "IntegrityError");
+    assert.equal(error.message, "Message authentication failed; HMAC mismatch");
+  }
+});
+
+test("should raises typed errors", () => {
+  const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+  const encryptor = keyring(keys, { salt: "" });
+  const [encrypted] = encryptor.encrypt("42");
+  const header = encrypted.slice(0, encrypted.lastIndexOf(":"));
+
+  [
+    `${header}:not base64!`,
+    `${header}:${Buffer.alloc(16).toString("base64")}`,
+    encrypted.replace(":aes-128-cbc:", ":rot13:"),
+    encrypted.replace(":1:", ":one:"),
+    42,
+  ].forEach((message) => {
+    assert.throws(() => encryptor.decrypt(message), MalformedCiphertextError);
   });
+
+  try {
+    keyring({ 2: keys[1] }, { salt: "" }).decrypt(encrypted);
+    assert.fail("expected decryption to fail");
+  } catch (error) {
+    assert.instanceOf(error, KeyNotFoundError);
+    assert.equal(error.keyId, 1);
+  }
+
+  assert.throws(() => keyring(keys), ConfigurationError);
+  assert.throws(
+    () => keyring(keys, { salt: "", encryption: "rot13" }),
+    ConfigurationError
+  );
+});
+
+test("should encrypts and decrypts batches", async () => {
+  const encryptor = keyring(
+    { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+    { salt: "" }
+  );
+  const messages = Array.from({ length: 1200 }, (_, index) => `${index}`);
+  const encrypted = await encryptor.encryptMany(
+    messages.map((message) => ({ message, context: { id: message } }))
+  );
+
+  assert.equal(encrypted.length, 1200);
+  assert.equal(encrypted[7].value[1], 1);
+
+  const decrypted = await encryptor.decryptMany(
+    encrypted.map(({ value }, index) => ({
+      message: value[0],
+      context: { id: index === 3 ? "other" : `${index}` },
+    }))
+  );
+
+  assert.deepEqual(
+    decrypted.filter((_, index) => index !== 3).map(({ value }) => value),
+    messages.filter((_, index) => index !== 3)
+  );
+  assert.instanceOf(decrypted[3].error, IntegrityError);
+});
+
+test("should encrypts and decrypts asynchronously", async () => {
+  const encryptor = keyring(
+    { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+    { salt: "" }
+  );
+  const [encrypted] = await encryptor.encryptAsync(42, "users");
+
+  assert.equal(await encryptor.decryptAsync(encrypted, undefined, "users"), 42);
+
+  try {
+    await encryptor.decryptAsync(encrypted);
+    assert.fail("expected decryption to fail");
+  } catch (error) {
+    assert.instanceOf(error, IntegrityError);
+  }
+});
+
+test("should encrypts object fields", () => {
+  const encryptor = keyring(
+    { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+    { salt: "" }
+  );
+  const document = {
+    name: "John",
+    email: "john@example.com",
+    address: { street: "Main St", zip: "12345" },
+    cards: [
+      { number: "4111111111111111", brand: "visa" },
+      { number: "5500000000000004", brand: "mastercard" },
+    ],
+    tags: ["a", "b"],
+    notes: null,
+  };
+  const encrypted = encryptor.encryptObject(document, {
+    fields: ["email", "address", "cards.*.number", "tags.*", "notes"],
+    digest: ["email"],
+  });
+
+  assert.equal(encrypted.name, "John");
+  assert.equal(encrypted.cards[0].brand, "visa");
+  assert.isNull(encrypted.notes);
+  assert.match(encrypted.email._encrypted, /^v2:aes-128-cbc:1:string:/);
+  assert.equal(encrypted.email.keyringId, 1);
+  assert.equal(encrypted.email.digest, encryptor.digest("john@example.com"));
+  assert.match(encrypted.address._encrypted, /^v2:aes-128-cbc:1:json:/);
+  assert.isUndefined(encrypted.address.digest);
+  assert.match(encrypted.cards[1].number._encrypted, /^v2:/);
+  assert.match(encrypted.tags[0]._encrypted, /^v2:/);
+  assert.notInclude(JSON.stringify(encrypted), "4111111111111111");
+  assert.equal(document.email, "john@example.com");
+
+  assert.deepEqual(encryptor.decryptObject(encrypted), document);
+});
+
+test("should encrypts object fields matching globs", () => {
+  const encryptor = keyring(
+    { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+    { salt: "" }
+  );
+  const document = {
+    ssn: "123",
+    spouse: { ssn: "456", children: [{ ssn: "789", name: "Mary" }] },
+  };
+  const encrypted = encryptor.encryptObject(document, {
+    fields: ["**.ssn"],
+  });
+
+  assert.isString(encrypted.ssn._encrypted);
+  assert.isString(encrypted.spouse.ssn._encrypted);
+  assert.isString(encrypted.spouse.children[0].ssn._encrypted);
+  assert.equal(encrypted.spouse.children[0].name, "Mary");
+
+  // Encrypting again leaves encrypted fields alone.
+  assert.deepEqual(
+    encryptor.encryptObject(encrypted, { fields: ["**.ssn"] }),
+    encrypted
+  );
+  assert.deepEqual(encryptor.decryptObject(encrypted), document);
+});
+
+test("should encrypts object fields shaped like envelopes", () => {
+  const encryptor = keyring(
+    { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+    { salt: "" }
+  );
+  const document = { note: { _encrypted: "secret plaintext" } };
+  const encrypted = encryptor.encryptObject(document, { fields: ["note"] });
+
+  assert.equal(encrypted.note._keyring, 1);
+  assert.match(encrypted.note._encrypted, /^v2:aes-128-cbc:1:json:/);
+  assert.notInclude(JSON.stringify(encrypted), "secret plaintext");
+  assert.deepEqual(encryptor.decryptObject(encrypted), document);
+  assert.deepEqual(encryptor.decryptObject(document), document);
+});
+
+test("should binds object fields to their path and context", () => {
+  const encryptor = keyring(
+    { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+    { salt: "" }
+  );
+  const context = { collection: "users", id: 1 };
+  const encrypted = encryptor.encryptObject(
+    { email: "john@example.com", phone: "555-0100" },
+    { fields: ["email", "phone"], context }
+  );
+
+  assert.deepEqual(encryptor.decryptObject(encrypted, { context }), {
+    email: "john@example.com",
+    phone: "555-0100",
+  });
+
+  assert.throws(() => {
+    encryptor.decryptObject(
+      { email: encrypted.phone, phone: encrypted.email },
+      { context }
+    );
+  }, IntegrityError);
+
+  assert.throws(() => {
+    encryptor.decryptObject(encrypted, { context: { ...context, id: 2 } });
+  }, IntegrityError);
+
+  assert.throws(() => {
+    encryptor.encryptObject({ email: "john@example.com" }, { fields: [] });
+  }, "encryptObject() requires a list of fields");
+
+  assert.throws(() => {
+    encryptor.encryptObject({ email: "x" }, { fields: ["user..email"] });
+  }, "Invalid field: user..email");
+});
+
+["aes-128-cbc", "aes-256-gcm"].forEach((encryption) => {
+  test(`should encrypts deterministically using ${encryption}`, () => {
+    const keys = {
+      1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+      2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+    };
+    const encryptor = keyring(keys, { salt: "", encryption, activeId: 1 });
+    const options = { deterministic: true };
+    const [encrypted, keyringId] = encryptor.encrypt(
+      "john@example.com",
+      "users.email",
+      options
+    );
+
+    assert.equal(keyringId, 1);
+    assert.equal(
+      encryptor.encrypt("john@example.com", "users.email", options)[0],
+      encrypted
+    );
+    assert.equal(
+      encryptor.decrypt(encrypted, keyringId, "users.email"),
+      "john@example.com"
+    );
+    assert.notEqual(
+      encryptor.encrypt("mary@example.com", "users.email", options)[0],
+      encrypted
+    );
+    assert.notEqual(
+      encryptor.encrypt("john@example.com", "users.name", options)[0],
+      encrypted
+    );
+    assert.notEqual(
+      encryptor.encrypt("john@example.com", "users.email")[0],
+      encrypted
+    );
+    assert.notEqual(
+      keyring(keys, { salt: "", encryption }).encrypt(
+        "john@example.com",
+        "users.email",
+        options
+      )[0],
+      encrypted
+    );
+  });
+});
+
+test("should returns deterministic ciphertexts for every key", () => {
+  const keys = {
+    1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+    2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+    3: {
+      key: "kiy5JtGyCpvc4qD3CPbtpTRJINHDoswVftmQgXkwJm0=",
+      state: "disabled",
+    },
+  };
+  const [old] = keyring({ 1: keys[1] }, { salt: "" }).encrypt(42, "answer", {
+    deterministic: true,
+  });
+  const encryptor = keyring(keys, { salt: "", activeId: 2 });
+  const [current] = encryptor.encrypt(42, "answer", { deterministic: true });
+
+  assert.deepEqual(encryptor.ciphertexts(42, "answer"), [current, old]);
 });
@@ -0,0 +1,143 @@
+const { assert } = require("chai");
+const Knex = require("knex");
+const KeyringKnex = require("../knex");
+const { IntegrityError } = require("../keyring");
+
+const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+
+suite("knex", () => {
+  let db;
+
+  setup(async () => {
+    db = Knex({
+      client: "sqlite3",
+      connection: { filename: ":memory:" },
+      useNullAsDefault: true,
+      postProcessResponse: KeyringKnex.postProcessResponse,
+    });
+
+    await db.schema.createTable("users", (table) => {
+      table.increments("id");
+      table.text("encrypted_email");
+      table.text("email_digest");
+      table.text("encrypted_secret");
+      table.integer("keyring_id");
+    });
+  });
+
+  teardown(() => db.destroy());
+
+  test("should encrypts and decrypts rows", async () => {
+    const users = KeyringKnex({
+      table: "users",
+      keys,
+      columns: ["email", { name: "secret", digestColumn: false }],
+      salt: "",
+    });
+
+    await db("users").insert(
+      await users.encrypt({ email: "john@example.com", secret: "SECRET" })
+    );
+
+    const [row] = await db("users");
+
+    assert.match(row.encrypted_email, /^v2:aes-128-cbc:1:/);
+    assert.equal(row.keyring_id, 1);
+    assert.isUndefined(row.email);
+
+    const user = await db("users").queryContext({ keyring: users }).first();
+
+    assert.equal(user.email, "john@example.com");
+    assert.equal(user.secret, "SECRET");
+  });
+
+  test("should finds rows by encrypted column", async () => {
+    const users = KeyringKnex({
+      table: "users",
+      keys,
+      columns: ["email"],
+      salt: "",
+    });
+
+    await db("users").insert(
+      await Promise.all(
+        ["john@example.com", "mary@example.com", "paul@example.com"].map(
+          (email) => users.encrypt({ email })
+        )
+      )
+    );
+
+    const rows = await db("users")
+      .queryContext({ keyring: users })
+      .where(
+        await users.where("email", ["john@example.com", "paul@example.com"])
+      )
+      .orderBy("id");
+
+    assert.deepEqual(
+      rows.map((row) => row.email),
+      ["john@example.com", "paul@example.com"]
+    );
+  });
+
+  test("should binds values to primary key", async () => {
+    const users = KeyringKnex({
+      table: "users",
+      keys,
+      columns: ["email"],
+      salt: "",
+      primaryKey: "id",
+    });
+
+    await db("users").insert(
+      await users.encrypt({ id: 1, email: "john@example.com" })
+    );
+    await db("users").insert(
+      await users.encrypt({ id: 2, email: "mary@example.com" })
+    );
+
+    const [john] = await db("users").where({ id: 1 });
+
+    await db("users")
+      .where({ id: 2 })
+      .update({ encrypted_email: john.encrypted_email });
+
+    const mary = db("users").queryContext({ keyring: users }).where({ id: 2 });
+
+    try {
+      await mary;
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.instanceOf(error, IntegrityError);
+    }
+
+    try {
+      await users.encrypt({ email: "paul@example.com" });
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.equal(
+        error.message,
+        "Cannot bind users.email to a record without id"
+      );
+    }
+  });
+
+  test("should applies decryption error policy", async () => {
+    const users = KeyringKnex({
+      table: "users",
+      keys,
+      columns: ["email"],
+      salt: "",
+      onDecryptError: "null",
+    });
+
+    await db("users").insert({
+      encrypted_email: "v2:aes-128-cbc:1:string:AAAA",
+      keyring_id: 1,
+    });
+
+    const user = await db("users").queryContext({ keyring: users }).first();
+
+    assert.isNull(user.email);
+  });
+});
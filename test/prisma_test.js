@@ -0,0 +1,176 @@
+const { assert } = require("chai");
+const { execFileSync } = require("child_process");
+const path = require("path");
+const { PrismaLibSql } = require("@prisma/adapter-libsql");
+const { extension } = require("../prisma");
+
+const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+
+// Generate the client for test/prisma/schema.prisma, which runs queries on an
+// in-memory SQLite database through the libSQL driver adapter.
+const generateClient = () => {
+  execFileSync(
+    process.execPath,
+    [
+      require.resolve("prisma/build/index.js"),
+      "generate",
+      "--schema",
+      path.join(__dirname, "prisma/schema.prisma"),
+    ],
+    { stdio: "pipe" }
+  );
+
+  return require("./prisma/client").PrismaClient;
+};
+
+suite("prisma", () => {
+  let PrismaClient;
+  let base;
+
+  const client = (options) =>
+    base.$extends(extension({ model: "User", keys, salt: "", ...options }));
+
+  suiteSetup(function () {
+    this.timeout(60000);
+    PrismaClient = generateClient();
+  });
+
+  setup(async () => {
+    base = new PrismaClient({
+      adapter: new PrismaLibSql({ url: ":memory:" }),
+    });
+
+    await base.$executeRawUnsafe(
+      "create table User (id integer primary key autoincrement, username text unique, encrypted_email text, email_digest text, keyring_id integer)"
+    );
+  });
+
+  teardown(() => base.$disconnect());
+
+  test("should encrypts and decrypts records", async () => {
+    const prisma = client({ columns: ["email"], primaryKey: "id" });
+    const created = await prisma.user.create({
+      data: { id: 1, email: "john@example.com" },
+    });
+
+    const [row] = await base.user.findMany();
+
+    assert.equal(created.email, "john@example.com");
+    assert.isUndefined(row.email);
+    assert.match(row.encrypted_email, /^v2:aes-128-cbc:1:/);
+    assert.equal(row.keyring_id, 1);
+
+    await prisma.user.update({
+      where: { id: 1 },
+      data: { email: "john.doe@example.com" },
+    });
+
+    const user = await prisma.user.findFirst({ where: { id: 1 } });
+
+    assert.equal(user.email, "john.doe@example.com");
+  });
+
+  test("should finds records by encrypted column", async () => {
+    const prisma = client({ columns: ["email"] });
+
+    for (const email of [
+      "john@example.com",
+      "mary@example.com",
+      "paul@example.com",
+    ])
+      await prisma.user.create({ data: { email } });
+
+    const user = await prisma.user.findFirst({
+      where: { email: "mary@example.com" },
+    });
+
+    assert.equal(user.email, "mary@example.com");
+
+    const users = await prisma.user.findMany({
+      where: { email: { in: ["john@example.com", "paul@example.com"] } },
+    });
+
+    assert.sameMembers(
+      users.map((user) => user.email),
+      ["john@example.com", "paul@example.com"]
+    );
+    assert.equal(
+      await prisma.user.count({
+        where: { email: { not: "john@example.com" } },
+      }),
+      2
+    );
+  });
+
+  test("should finds records using null filters", async () => {
+    const prisma = client({ columns: ["email"] });
+    const john = await prisma.user.create({
+      data: { email: "john@example.com" },
+    });
+    const nobody = await prisma.user.create({ data: { email: null } });
+    const ids = async (where) =>
+      (await prisma.user.findMany({ where })).map((user) => user.id);
+
+    assert.deepEqual(await ids({ email: null }), [nobody.id]);
+    assert.deepEqual(await ids({ email: { equals: null } }), [nobody.id]);
+    assert.deepEqual(await ids({ email: { not: null } }), [john.id]);
+  });
+
+  test("should narrows down unique lookups by encrypted column", async () => {
+    const prisma = client({ columns: ["email"] });
+    const john = await prisma.user.create({
+      data: { username: "john", email: "john@example.com" },
+    });
+
+    assert.equal(
+      (
+        await prisma.user.findUnique({
+          where: { username: "john", email: "john@example.com" },
+        })
+      ).id,
+      john.id
+    );
+    assert.isNull(
+      await prisma.user.findUnique({
+        where: { username: "john", email: "mary@example.com" },
+      })
+    );
+
+    const updated = await prisma.user.update({
+      where: { id: john.id, email: "john@example.com" },
+      data: { username: "johnny" },
+    });
+
+    assert.equal(updated.username, "johnny");
+    assert.equal(updated.email, "john@example.com");
+
+    for (const operation of ["findUnique", "update", "delete"]) {
+      try {
+        await prisma.user[operation]({
+          where: { email: "john@example.com" },
+          data: { username: "john" },
+        });
+        assert.fail("should have thrown");
+      } catch (error) {
+        assert.equal(
+          error.message,
+          `Encrypted column email can't select a unique User record in ${operation}(); add a unique field like id to where`
+        );
+      }
+    }
+  });
+
+  test("should rejects unsupported filters", async () => {
+    const prisma = client({ columns: ["email"] });
+
+    try {
+      await prisma.user.findMany({ where: { email: { contains: "john" } } });
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.equal(
+        error.message,
+        "Encrypted column email can't be queried using contains"
+      );
+    }
+  });
+});
@@ -0,0 +1,356 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { keyring } = require("../keyring");
+const providers = require("../providers");
+
+const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+const masterKey = "VV3X9u91C5siPvYeFb0Ne43Twxi6NQXkAniVvnzAgrg=";
+
+const waitFor = async (condition, timeout = 2000) => {
+  const start = Date.now();
+
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error("Timed out");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+suite("providers", () => {
+  let file;
+
+  setup(() => {
+    file = path.join(os.tmpdir(), `keyring-provider-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(keys));
+  });
+
+  teardown(() => {
+    fs.unlinkSync(file);
+  });
+
+  test("should loads keys from environment variable", async () => {
+    const provider = providers.env("USER_KEYRING", {
+      env: { USER_KEYRING: JSON.stringify(keys) },
+    });
+    const encryptor = await keyring(provider, { salt: "" });
+    const [encrypted] = encryptor.encrypt("42");
+
+    assert.equal(encryptor.currentId(), 1);
+    assert.equal(keyring(keys, { salt: "" }).decrypt(encrypted), "42");
+  });
+
+  test("should raises exception for missing environment variable", async () => {
+    try {
+      await keyring(providers.env("MISSING", { env: {} }), { salt: "" });
+      assert.fail("expected keyring to fail");
+    } catch (error) {
+      assert.equal(error.message, "Environment variable MISSING is not set");
+    }
+  });
+
+  test("should loads keys from file", async () => {
+    const encryptor = await keyring(providers.file(file), { salt: "" });
+
+    assert.equal(encryptor.currentId(), 1);
+  });
+
+  test("should reloads keys when file changes", async () => {
+    const encryptor = await keyring(
+      providers.file(file, { watch: true, interval: 10 }),
+      { salt: "" }
+    );
+
+    try {
+      const [encrypted] = encryptor.encrypt("42");
+
+      fs.writeFileSync(
+        file,
+        JSON.stringify({
+          ...keys,
+          2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+        })
+      );
+      fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+
+      await waitFor(() => encryptor.currentId() === 2);
+
+      assert.equal(encryptor.decrypt(encrypted), "42");
+    } finally {
+      encryptor.close();
+    }
+  });
+
+  test("should reloads keys changed before watching starts", async () => {
+    const provider = providers.file(file, { watch: true, interval: 10 });
+    const reloaded = [];
+
+    await provider.load();
+
+    fs.writeFileSync(file, JSON.stringify({ 2: keys[1] }));
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+
+    const unwatch = provider.watch(
+      (keys) => reloaded.push(keys),
+      (error) => reloaded.push(error)
+    );
+
+    try {
+      await waitFor(() => reloaded.length > 0);
+
+      assert.deepEqual(reloaded, [{ 2: keys[1] }]);
+    } finally {
+      unwatch();
+    }
+  });
+
+  test("should keeps previous keys when reloading fails", async () => {
+    const errors = [];
+    const encryptor = await keyring(
+      providers.file(file, { watch: true, interval: 10 }),
+      { salt: "", onReloadError: (error) => errors.push(error) }
+    );
+
+    try {
+      fs.writeFileSync(file, JSON.stringify({ a: keys[1] }));
+      fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+
+      await waitFor(() => errors.length > 0);
+
+      assert.equal(
+        errors[0].message,
+        "All keyring keys must be integer numbers"
+      );
+      assert.equal(encryptor.currentId(), 1);
+    } finally {
+      encryptor.close();
+    }
+  });
+
+  test("should unwraps keys using envelope encryption", async () => {
+    const kms = providers.localKms(masterKey);
+    const wrapped = { 1: await kms.wrap(keys[1]) };
+    const provider = providers.envelope({ keys: wrapped, unwrap: kms.unwrap });
+    const encryptor = await keyring(provider, { salt: "" });
+    const [encrypted] = keyring(keys, { salt: "" }).encrypt("42");
+
+    assert.notEqual(wrapped[1], keys[1]);
+    assert.equal(encryptor.decrypt(encrypted), "42");
+  });
+
+  test("should unwraps keys loaded by another provider", async () => {
+    const kms = providers.localKms(masterKey);
+    fs.writeFileSync(file, JSON.stringify({ 1: await kms.wrap(keys[1]) }));
+
+    const provider = providers.envelope({
+      keys: providers.file(file),
+      unwrap: kms.unwrap,
+    });
+    const encryptor = await keyring(provider, { salt: "" });
+
+    assert.equal(encryptor.currentId(), 1);
+  });
+
+  test("should fails to unwrap keys using another master key", async () => {
+    const kms = providers.localKms(masterKey);
+    const wrapped = { 1: await kms.wrap(keys[1]) };
+    const provider = providers.envelope({
+      keys: wrapped,
+      unwrap: providers.localKms(keys[1]).unwrap,
+    });
+
+    try {
+      await keyring(provider, { salt: "" });
+      assert.fail("expected keyring to fail");
+    } catch (error) {
+      assert.match(error.message, /unable to authenticate data/);
+    }
+  });
+
+  test("should keeps key metadata when unwrapping keys", async () => {
+    const kms = providers.localKms(masterKey);
+    const wrapped = {
+      1: await kms.wrap(keys[1]),
+      2: {
+        key: await kms.wrap("VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc="),
+        state: "decrypt-only",
+      },
+    };
+    const provider = providers.envelope({ keys: wrapped, unwrap: kms.unwrap });
+    const encryptor = await keyring(provider, { salt: "" });
+
+    assert.equal(encryptor.currentId(), 1);
+  });
+
+  suite("encrypted keyring files", () => {
+    // Cheap scrypt parameters, so tests run fast.
+    const sealing = { passphrase: "correct horse", params: { N: 1024 } };
+    const newKey = "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=";
+
+    test("should saves and loads keys sealed under a passphrase", async () => {
+      const entries = { ...keys, 2: { key: newKey, state: "decrypt-only" } };
+
+      await providers.saveKeyringFile(file, entries, sealing);
+
+      const contents = fs.readFileSync(file, "utf8");
+
+      assert.notInclude(contents, keys[1]);
+      assert.equal(JSON.parse(contents).derivation.kdf, "scrypt");
+      assert.deepEqual(
+        await providers.loadKeyringFile(file, { passphrase: "correct horse" }),
+        entries
+      );
+    });
+
+    test("should saves and loads keys sealed under a master key", async () => {
+      await providers.saveKeyringFile(file, keys, { masterKey });
+
+      const encryptor = await keyring(
+        providers.encryptedFile(file, { masterKey }),
+        { salt: "" }
+      );
+
+      assert.equal(encryptor.currentId(), 1);
+    });
+
+    test("should saves buffer keys encoded as base64", async () => {
+      const buffer = Buffer.from(newKey, "base64");
+
+      await providers.saveKeyringFile(
+        file,
+        { 1: Buffer.from(keys[1], "base64"), 2: { key: buffer } },
+        { masterKey }
+      );
+
+      assert.deepEqual(await providers.loadKeyringFile(file, { masterKey }), {
+        1: keys[1],
+        2: { key: newKey },
+      });
+    });
+
+    test("should refuses to save invalid keys", async () => {
+      const attempts = [
+        [{ 1: "not a key!!" }, {}],
+        [keys, { encryption: "aes-256-cbc" }],
+      ];
+
+      for (const [entries, options] of attempts) {
+        try {
+          await providers.saveKeyringFile(file, entries, {
+            masterKey,
+            ...options,
+          });
+          assert.fail("expected saving to fail");
+        } catch (error) {
+          assert.match(error.message, /Expected key to be \d+ bytes long/);
+        }
+      }
+
+      assert.equal(fs.readFileSync(file, "utf8"), JSON.stringify(keys));
+    });
+
+    test("should fails to load keys using the wrong secret", async () => {
+      await providers.saveKeyringFile(file, keys, sealing);
+
+      const attempts = [
+        [
+          { passphrase: "wrong" },
+          "Unable to decrypt keyring file; the passphrase or master key is wrong, or the file was modified",
+        ],
+        [{ masterKey }, "Keyring file is sealed under a passphrase"],
+      ];
+
+      for (const [options, message] of attempts) {
+        try {
+          await providers.loadKeyringFile(file, options);
+          assert.fail("expected loading to fail");
+        } catch (error) {
+          assert.equal(error.message, message);
+        }
+      }
+    });
+
+    test("should fails to load modified files", async () => {
+      await providers.saveKeyringFile(file, keys, { masterKey });
+
+      const contents = JSON.parse(fs.readFileSync(file, "utf8"));
+      const data = Buffer.from(contents.data, "base64");
+      data[0] ^= 1;
+      fs.writeFileSync(
+        file,
+        JSON.stringify({ ...contents, data: data.toString("base64") })
+      );
+
+      try {
+        await providers.loadKeyringFile(file, { masterKey });
+        assert.fail("expected loading to fail");
+      } catch (error) {
+        assert.match(error.message, /^Unable to decrypt keyring file/);
+      }
+    });
+
+    test("should merges new keys into the file", async () => {
+      await providers.saveKeyringFile(file, keys, sealing);
+      const derivation = JSON.parse(fs.readFileSync(file, "utf8")).derivation;
+
+      const merged = await providers.mergeKeyringFile(
+        file,
+        { 2: newKey },
+        sealing
+      );
+
+      assert.deepEqual(merged, { ...keys, 2: newKey });
+      assert.deepEqual(
+        JSON.parse(fs.readFileSync(file, "utf8")).derivation,
+        derivation
+      );
+      assert.deepEqual(await providers.loadKeyringFile(file, sealing), merged);
+    });
+
+    test("should refuses to merge duplicate or conflicting keys", async () => {
+      await providers.saveKeyringFile(file, { ...keys, 2: newKey }, sealing);
+
+      const attempts = [
+        [{ 2: newKey }, "key=2 is already in the keyring"],
+        [{ 2: keys[1] }, "key=2 conflicts with another key using the same id"],
+        [{ 3: keys[1] }, "key=3 duplicates key=1 in the keyring"],
+        [{ 1: keys[1], 3: keys[1] }, "key=1 is already in the keyring"],
+      ];
+
+      for (const [added, message] of attempts) {
+        try {
+          await providers.mergeKeyringFile(file, added, sealing);
+          assert.fail("expected merging to fail");
+        } catch (error) {
+          assert.equal(error.message, message);
+        }
+      }
+
+      assert.deepEqual(await providers.loadKeyringFile(file, sealing), {
+        ...keys,
+        2: newKey,
+      });
+    });
+
+    test("should refuses to merge keys below the current id", async () => {
+      await providers.saveKeyringFile(file, { 2: newKey }, { masterKey });
+
+      try {
+        await providers.mergeKeyringFile(file, keys, { masterKey });
+        assert.fail("expected merging to fail");
+      } catch (error) {
+        assert.equal(
+          error.message,
+          "key=1 is lower than the current key id=2; pass `allowLowerId: true` to add it anyway"
+        );
+      }
+
+      const merged = await providers.mergeKeyringFile(file, keys, {
+        masterKey,
+        allowLowerId: true,
+      });
+
+      assert.deepEqual(Object.keys(merged), ["1", "2"]);
+    });
+  });
+});
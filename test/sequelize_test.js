@@ -1,6 +1,7 @@
 const { assert } = require("chai");
-const { sha1 } = require("../keyring");
+const { sha1, keyring, IntegrityError } = require("../keyring");
 const Keyring = require("../sequelize");
+const providers = require("../providers");
 
 const Sequelize = require("sequelize");
 const sequelize = new Sequelize("postgres:///test", { logging: false });
@@ -11,6 +12,12 @@ async function defineModel({
   encryption = "aes-128-cbc",
   keyringIdColumn = "keyring_id",
   salt = "",
+  indexKeys,
+  activeId,
+  naming,
+  onDecryptError,
+  rawQueryGuard,
+  onOperation,
 }) {
   const model = await sequelize.define(
     "users",
@@ -27,13 +34,30 @@ async function defineModel({
       encrypted_secret: Sequelize.TEXT,
       secret: Sequelize.VIRTUAL,
 
+      encryptedPhoneNumber: Sequelize.TEXT,
+      phoneNumberDigest: Sequelize.TEXT,
+      phoneNumber: Sequelize.VIRTUAL,
+
       keyring_id: Sequelize.INTEGER,
       custom_keyring_id: Sequelize.INTEGER,
+      secret_keyring_id: Sequelize.INTEGER,
     },
     { timestamps: false }
   );
 
-  Keyring(model, { keys, columns, encryption, keyringIdColumn, salt });
+  Keyring(model, {
+    keys,
+    columns,
+    encryption,
+    keyringIdColumn,
+    salt,
+    indexKeys,
+    activeId,
+    naming,
+    onDecryptError,
+    rawQueryGuard,
+    onOperation,
+  });
 
   return model;
 }
@@ -50,8 +74,11 @@ suite("sequelize", () => {
         encrypted_email text,
         encrypted_secret text,
         email_digest text,
+        "encryptedPhoneNumber" text,
+        "phoneNumberDigest" text,
         keyring_id integer,
-        custom_keyring_id integer
+        custom_keyring_id integer,
+        secret_keyring_id integer
       );
     `);
 
@@ -168,6 +195,27 @@ suite("sequelize", () => {
     assert.equal(user.keyring_id, 2);
   });
 
+  test("should rebuilds keyring when keys change", async () => {
+    const keys = {
+      1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+      2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+    };
+    const User = await defineModel({ keys });
+    const user = await User.create({ email: "EMAIL" });
+
+    assert.equal(user.keyring_id, 2);
+
+    keys[2] = { key: keys[2], state: "decrypt-only" };
+
+    const other = await User.create({ email: "OTHER" });
+
+    assert.equal(other.keyring_id, 1);
+
+    await user.reload();
+
+    assert.equal(user.email, "EMAIL");
+  });
+
   test("should sets digest for existing columns", async () => {
     const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
     const User = await defineModel({ keys });
@@ -203,4 +251,900 @@ suite("sequelize", () => {
     assert.equal(user.email, "EMAIL");
     assert.equal(user.secret, "SECRET");
   });
+
+  test("should binds encrypted values to their records", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const john = await User.create({ email: "john@example.com" });
+    const mary = await User.create({ email: "mary@example.com" });
+
+    await User.update(
+      { encrypted_email: john.encrypted_email },
+      { where: { id: mary.id }, hooks: false }
+    );
+
+    await mary.reload();
+
+    try {
+      mary.email;
+      assert.fail("expected decryption to fail");
+    } catch (error) {
+      assert.instanceOf(error, IntegrityError);
+    }
+  });
+
+  test("should binds encrypted values to their columns", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const user = await User.create({ email: "EMAIL", secret: "SECRET" });
+
+    await User.update(
+      { encrypted_secret: user.encrypted_email },
+      { where: { id: user.id }, hooks: false }
+    );
+
+    await user.reload();
+
+    try {
+      user.secret;
+      assert.fail("expected decryption to fail");
+    } catch (error) {
+      assert.instanceOf(error, IntegrityError);
+    }
+  });
+
+  test("should migrates sha1 digests to blind indexes", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const indexKeys = { 1: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=" };
+    let User = await defineModel({ keys });
+    const user = await User.create({ email: "EMAIL" });
+
+    assert.equal(user.email_digest, sha1("EMAIL", { salt: "" }));
+
+    User = await defineModel({ keys, indexKeys });
+    const encryptor = keyring(keys, { salt: "", indexKeys });
+    const found = await User.findOne({
+      where: { email_digest: encryptor.digests("EMAIL") },
+    });
+
+    await found.save();
+    await found.reload();
+
+    assert.equal(found.email_digest, encryptor.digest("EMAIL"));
+    assert.equal(encryptor.digestKeyId(found.email_digest), 1);
+  });
+
+  test("should rotates keys in batches", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+
+    await User.create({ email: "EMAIL1", secret: "SECRET1" });
+    await User.create({ email: "EMAIL2", secret: "SECRET2" });
+    await User.create({ email: "EMAIL3", secret: "SECRET3" });
+
+    keys[2] = "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=";
+
+    const progress = [];
+    const result = await Keyring.rotate(User, {
+      batchSize: 2,
+      onProgress: (status) => progress.push(status),
+    });
+
+    assert.equal(result.processed, 3);
+    assert.equal(result.remaining, 0);
+    assert.deepEqual(
+      progress.map(({ processed, total }) => [processed, total]),
+      [
+        [2, 3],
+        [3, 3],
+      ]
+    );
+
+    const users = await User.findAll({ order: [["email_digest", "ASC"]] });
+
+    assert.deepEqual(
+      users.map((user) => user.keyring_id),
+      [2, 2, 2]
+    );
+    assert.sameMembers(
+      users.map((user) => user.email),
+      ["EMAIL1", "EMAIL2", "EMAIL3"]
+    );
+  });
+
+  test("should encrypts and decrypts plaintext columns in migrations", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const queryInterface = sequelize.getQueryInterface();
+    const options = {
+      table: "users",
+      keys,
+      salt: "",
+      columns: ["email", "secret"],
+      batchSize: 2,
+    };
+
+    await sequelize.query("drop table if exists users;");
+    await sequelize.query(`
+      create table users (
+        id citext primary key not null,
+        email text,
+        secret text
+      );
+    `);
+    await sequelize.query(`
+      insert into users (id, email, secret) values
+        ('1', 'EMAIL1', 'SECRET1'),
+        ('2', 'EMAIL2', null),
+        ('3', 'EMAIL3', 'SECRET3');
+    `);
+
+    const progress = [];
+    const result = await Keyring.encryptTable(queryInterface, {
+      ...options,
+      plaintext: "drop",
+      onProgress: (status) => progress.push(status),
+    });
+
+    assert.deepEqual(result, { processed: 3, verified: 5 });
+    assert.deepEqual(progress, [
+      { processed: 2, cursor: "2" },
+      { processed: 3, cursor: "3" },
+    ]);
+    assert.sameMembers(
+      Object.keys(await queryInterface.describeTable("users")),
+      [
+        "id",
+        "encrypted_email",
+        "email_digest",
+        "encrypted_secret",
+        "secret_digest",
+        "keyring_id",
+      ]
+    );
+
+    const User = await defineModel({ keys });
+    const attributes = [
+      "id",
+      "encrypted_email",
+      "encrypted_secret",
+      "keyring_id",
+    ];
+    const user = await User.findOne({
+      where: { email: "EMAIL3" },
+      attributes,
+    });
+
+    assert.equal(user.id, "3");
+    assert.equal(user.secret, "SECRET3");
+    assert.isNull((await User.findByPk("2", { attributes })).secret);
+
+    assert.deepEqual(await Keyring.decryptTable(queryInterface, options), {
+      processed: 3,
+    });
+
+    const [rows] = await sequelize.query(
+      "select id, email, secret from users order by id;"
+    );
+
+    assert.deepEqual(rows, [
+      { id: "1", email: "EMAIL1", secret: "SECRET1" },
+      { id: "2", email: "EMAIL2", secret: null },
+      { id: "3", email: "EMAIL3", secret: "SECRET3" },
+    ]);
+  });
+
+  test("should verifies migrated values against their plaintext", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const [encrypted] = keyring(keys, { salt: "" }).encrypt("OTHER", {
+      model: "users",
+      column: "email",
+      id: "2",
+    });
+
+    await sequelize.query("drop table if exists users;");
+    await sequelize.query(`
+      create table users (
+        id citext primary key not null,
+        email text,
+        encrypted_email text,
+        keyring_id integer
+      );
+    `);
+    await sequelize.query(
+      `insert into users (id, email, encrypted_email, keyring_id) values
+        ('1', 'EMAIL1', null, null),
+        ('2', 'EMAIL2', :encrypted, 1);`,
+      { replacements: { encrypted } }
+    );
+
+    try {
+      await Keyring.encryptTable(sequelize.getQueryInterface(), {
+        table: "users",
+        keys,
+        salt: "",
+        columns: [{ name: "email", digestColumn: false }],
+        plaintext: "drop",
+      });
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.equal(
+        error.message,
+        "Encrypted users.email doesn't match its plaintext for id=2"
+      );
+    }
+
+    const [rows] = await sequelize.query(
+      "select email from users order by id;"
+    );
+
+    assert.deepEqual(
+      rows.map((row) => row.email),
+      ["EMAIL1", "EMAIL2"]
+    );
+  });
+
+  test("should finishes key rotation with records without values", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+
+    await User.create({ email: null, secret: null });
+    await User.create({ email: "EMAIL1", secret: null });
+
+    keys[2] = "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=";
+
+    const result = await Keyring.rotate(User);
+
+    assert.equal(result.processed, 1);
+    assert.equal(result.remaining, 0);
+    assert.deepInclude(await Keyring.rotate(User), {
+      processed: 0,
+      remaining: 0,
+    });
+  });
+
+  test("should resumes key rotation after cursor", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+
+    await User.create({ email: "EMAIL1" });
+    await User.create({ email: "EMAIL2" });
+    await User.create({ email: "EMAIL3" });
+
+    keys[2] = "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=";
+
+    const [first] = await User.findAll({ order: [["id", "ASC"]] });
+    let result = await Keyring.rotate(User, { after: first.id });
+
+    assert.equal(result.processed, 2);
+    assert.equal(result.remaining, 1);
+
+    result = await Keyring.rotate(User);
+
+    assert.equal(result.processed, 1);
+    assert.equal(result.remaining, 0);
+  });
+
+  test("should encrypts attributes using key provider", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const kms = providers.localKms(
+      "VV3X9u91C5siPvYeFb0Ne43Twxi6NQXkAniVvnzAgrg="
+    );
+    const provider = providers.envelope({
+      keys: { 1: await kms.wrap(keys[1]) },
+      unwrap: kms.unwrap,
+    });
+    const User = await defineModel({ keys: provider });
+    const user = await User.create({ email: "EMAIL", secret: "SECRET" });
+
+    await user.reload();
+
+    assert.equal(user.email, "EMAIL");
+    assert.equal(
+      keyring(keys, { salt: "" }).decrypt(user.encrypted_secret, null, {
+        model: "users",
+        column: "secret",
+        id: user.id,
+      }),
+      "SECRET"
+    );
+  });
+
+  test("should encrypts attributes using pinned active key", async () => {
+    const keys = {
+      1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+      2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+      3: {
+        key: "VV3X9u91C5siPvYeFb0Ne43Twxi6NQXkAniVvnzAgrg=",
+        state: "decrypt-only",
+      },
+    };
+    const User = await defineModel({ keys, activeId: 1 });
+    const user = await User.create({ email: "EMAIL" });
+
+    await user.reload();
+
+    assert.equal(user.keyring_id, 1);
+    assert.equal(user.email, "EMAIL");
+  });
+
+  test("should encrypts non-string attributes", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const secret = { token: "abc", scopes: ["read", "write"] };
+    const user = await User.create({ email: 42, secret });
+
+    await user.reload();
+
+    assert.strictEqual(user.email, 42);
+    assert.equal(user.email_digest, sha1("42", { salt: "" }));
+    assert.deepEqual(user.secret, secret);
+  });
+
+  test("should encrypts binary attributes", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const token = Buffer.from([0, 1, 2, 255]);
+    const user = await User.create({ secret: token });
+
+    await user.reload();
+
+    assert.isTrue(Buffer.isBuffer(user.secret));
+    assert.isTrue(user.secret.equals(token));
+  });
+
+  test("should uses custom column names", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({
+      keys,
+      columns: [
+        {
+          name: "email",
+          encryptedColumn: "encryptedPhoneNumber",
+          digestColumn: "phoneNumberDigest",
+        },
+      ],
+    });
+    const user = await User.create({ email: "EMAIL" });
+
+    await user.reload();
+
+    assert.equal(user.email, "EMAIL");
+    assert.isString(user.encryptedPhoneNumber);
+    assert.equal(user.phoneNumberDigest, sha1("EMAIL", { salt: "" }));
+    assert.isNull(user.encrypted_email);
+    assert.isNull(user.email_digest);
+  });
+
+  test("should infers camel case column names", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys, columns: ["phoneNumber", "email"] });
+    const user = await User.create({ phoneNumber: "PHONE", email: "EMAIL" });
+
+    await user.reload();
+
+    assert.equal(user.phoneNumber, "PHONE");
+    assert.isString(user.encryptedPhoneNumber);
+    assert.equal(user.phoneNumberDigest, sha1("PHONE", { salt: "" }));
+    assert.equal(user.email, "EMAIL");
+    assert.equal(user.email_digest, sha1("EMAIL", { salt: "" }));
+  });
+
+  test("should uses naming option", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+
+    assert.throws(() => {
+      Keyring(sequelize.define("accounts", { email: Sequelize.VIRTUAL }), {
+        keys,
+        columns: ["email"],
+        salt: "",
+        naming: "unknown",
+      });
+    }, "Unknown column naming: unknown");
+
+    const User = await defineModel({
+      keys,
+      columns: ["phoneNumber"],
+      naming: "camelCase",
+    });
+    const user = await User.create({ phoneNumber: "PHONE" });
+
+    await user.reload();
+
+    assert.equal(user.phoneNumber, "PHONE");
+    assert.equal(user.phoneNumberDigest, sha1("PHONE", { salt: "" }));
+  });
+
+  test("should uses per-column keyring options", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const secretKeys = {
+      1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=",
+      7: "3Kq45bZMPPY+XRSNENlSNprcL9bbNFkicUZVMHLKqss=",
+    };
+    const User = await defineModel({
+      keys,
+      columns: [
+        "email",
+        {
+          name: "secret",
+          keys: secretKeys,
+          encryption: "aes-256-gcm",
+          keyringIdColumn: "secret_keyring_id",
+        },
+      ],
+    });
+    const user = await User.create({ email: "EMAIL", secret: "SECRET" });
+
+    await user.reload();
+
+    assert.equal(user.keyring_id, 1);
+    assert.equal(user.secret_keyring_id, 7);
+    assert.match(user.encrypted_email, /^v2:aes-128-cbc:1:/);
+    assert.match(user.encrypted_secret, /^v2:aes-256-gcm:7:/);
+    assert.equal(user.email, "EMAIL");
+    assert.equal(user.secret, "SECRET");
+  });
+
+  test("should rejects columns sharing keyring id column with different keyrings", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+
+    try {
+      await defineModel({
+        keys,
+        columns: ["email", { name: "secret", encryption: "aes-256-gcm" }],
+      });
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.equal(
+        error.message,
+        "Columns email and secret use different keyrings, so they can't share the keyring_id column"
+      );
+    }
+  });
+
+  test("should finds records by encrypted column", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const john = await User.create({ email: "john@example.com" });
+    await User.create({ email: "mary@example.com" });
+    await User.create({ email: "paul@example.com" });
+
+    const user = await User.findOne({ where: { email: "john@example.com" } });
+
+    assert.equal(user.id, john.id);
+    assert.equal(user.email, "john@example.com");
+
+    const users = await User.findAll({
+      where: {
+        email: { [Sequelize.Op.in]: ["john@example.com", "mary@example.com"] },
+      },
+    });
+
+    assert.sameMembers(
+      users.map((user) => user.email),
+      ["john@example.com", "mary@example.com"]
+    );
+
+    assert.equal(
+      await User.count({
+        where: {
+          [Sequelize.Op.or]: [
+            { email: "john@example.com" },
+            { email: "paul@example.com" },
+          ],
+        },
+      }),
+      2
+    );
+    assert.equal(
+      await User.count({
+        where: { email: { [Sequelize.Op.ne]: "john@example.com" } },
+      }),
+      2
+    );
+  });
+
+  test("should updates and destroys records by encrypted column", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    await User.create({ email: "john@example.com" });
+    await User.create({ email: "mary@example.com" });
+
+    await User.update(
+      { custom_keyring_id: 42 },
+      { where: { email: "john@example.com" } }
+    );
+
+    const john = await User.findOne({ where: { email: "john@example.com" } });
+
+    assert.equal(john.custom_keyring_id, 42);
+
+    await User.destroy({ where: { email: "mary@example.com" } });
+
+    assert.equal(await User.count(), 1);
+    assert.isNull(await User.findOne({ where: { email: "mary@example.com" } }));
+  });
+
+  test("should finds records by deterministic column", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const columns = [
+      { name: "secret", digestColumn: false, deterministic: true },
+    ];
+    let User = await defineModel({ keys, columns });
+    const john = await User.create({ secret: "SECRET" });
+    const mary = await User.create({ secret: "SECRET" });
+    await User.create({ secret: "OTHER" });
+
+    assert.equal(john.encrypted_secret, mary.encrypted_secret);
+
+    keys[2] = "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=";
+    User = await defineModel({ keys, columns });
+    const paul = await User.create({ secret: "SECRET" });
+
+    assert.equal(paul.keyring_id, 2);
+    assert.notEqual(paul.encrypted_secret, john.encrypted_secret);
+
+    const users = await User.findAll({ where: { secret: "SECRET" } });
+
+    assert.sameMembers(
+      users.map((user) => user.id),
+      [john.id, mary.id, paul.id]
+    );
+    assert.deepEqual(
+      users.map((user) => user.secret),
+      ["SECRET", "SECRET", "SECRET"]
+    );
+    assert.equal(
+      await User.count({
+        where: { secret: { [Sequelize.Op.ne]: "SECRET" } },
+      }),
+      1
+    );
+  });
+
+  test("should finds records using where helpers and null operators", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const john = await User.create({ email: "john@example.com" });
+    const nobody = await User.create({ email: null });
+
+    const users = await User.findAll({
+      where: Sequelize.and({ email: "john@example.com" }),
+    });
+
+    assert.deepEqual(
+      users.map((user) => user.id),
+      [john.id]
+    );
+    assert.equal(
+      await User.count({
+        where: Sequelize.or({ email: "john@example.com" }, { email: null }),
+      }),
+      2
+    );
+
+    const [found] = await User.findAll({
+      where: { email: { [Sequelize.Op.eq]: null } },
+    });
+
+    assert.equal(found.id, nobody.id);
+    assert.equal(
+      await User.count({ where: { email: { [Sequelize.Op.ne]: null } } }),
+      1
+    );
+
+    try {
+      await User.findAll({
+        where: Sequelize.where(
+          Sequelize.fn("lower", Sequelize.col("email")),
+          "john@example.com"
+        ),
+      });
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.equal(
+        error.message,
+        "Encrypted column email can't be queried using Sequelize.where(); use a plain condition like { email: value } instead"
+      );
+    }
+  });
+
+  test("should finds records using lists with null", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const john = await User.create({ email: "john@example.com" });
+    const mary = await User.create({ email: "mary@example.com" });
+    const nobody = await User.create({ email: null });
+    const ids = async (where) =>
+      (await User.findAll({ where })).map((user) => user.id);
+
+    assert.sameMembers(await ids({ email: [null, "john@example.com"] }), [
+      john.id,
+      nobody.id,
+    ]);
+    assert.sameMembers(await ids({ email: { [Sequelize.Op.in]: [null] } }), [
+      nobody.id,
+    ]);
+    assert.sameMembers(
+      await ids({
+        email: { [Sequelize.Op.notIn]: [null, "john@example.com"] },
+      }),
+      [mary.id]
+    );
+    assert.sameMembers(await ids({ email: { [Sequelize.Op.notIn]: [null] } }), [
+      john.id,
+      mary.id,
+    ]);
+  });
+
+  test("should rejects queries on encrypted columns without digest", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+
+    try {
+      await User.findOne({ where: { secret: "SECRET" } });
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.equal(
+        error.message,
+        "Encrypted column secret can't be queried because it has no digest column (secret_digest)"
+      );
+    }
+
+    try {
+      await User.findOne({ where: { email: { [Sequelize.Op.like]: "%" } } });
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.equal(
+        error.message,
+        "Encrypted column email can't be queried using Symbol(like)"
+      );
+    }
+  });
+
+  test("should decrypts attributes on first access", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const { id } = await User.create({ email: "EMAIL", secret: "SECRET" });
+
+    const user = await User.findByPk(id);
+
+    assert.isUndefined(user.dataValues.email);
+    assert.equal(user.email, "EMAIL");
+    assert.equal(user.dataValues.email, "EMAIL");
+    assert.deepEqual(user.toJSON().secret, "SECRET");
+    assert.isFalse(user.changed());
+  });
+
+  test("should respects selected attributes", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const { id } = await User.create({ email: "EMAIL", secret: "SECRET" });
+
+    const partial = await User.findByPk(id, {
+      attributes: ["id", "keyring_id", "encrypted_secret"],
+    });
+
+    assert.isUndefined(partial.email);
+    assert.equal(partial.secret, "SECRET");
+
+    partial.custom_keyring_id = 42;
+    await partial.save();
+
+    const user = await User.findByPk(id);
+
+    assert.equal(user.custom_keyring_id, 42);
+    assert.equal(user.email, "EMAIL");
+    assert.equal(user.secret, "SECRET");
+  });
+
+  test("should applies decryption error policy", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const john = await User.create({ email: "john@example.com" });
+    const mary = await User.create({ email: "mary@example.com" });
+
+    // Values are bound to their records, so copying it makes decryption fail.
+    await sequelize.query(
+      "update users set encrypted_email = :encrypted where id = :id",
+      { replacements: { encrypted: john.encrypted_email, id: mary.id } }
+    );
+
+    const user = await User.findByPk(mary.id);
+
+    assert.throws(() => user.email, IntegrityError);
+
+    const NullUser = await defineModel({ keys, onDecryptError: "null" });
+
+    assert.isNull((await NullUser.findByPk(mary.id)).email);
+    assert.equal((await NullUser.findByPk(john.id)).email, "john@example.com");
+
+    const errors = [];
+    const CallbackUser = await defineModel({
+      keys,
+      onDecryptError: (error, { record, column }) => {
+        errors.push([error.message, record.id, column]);
+        return "[unreadable]";
+      },
+    });
+    const users = await CallbackUser.findAll({ order: [["id", "ASC"]] });
+
+    assert.sameMembers(
+      users.map((user) => user.email),
+      ["john@example.com", "[unreadable]"]
+    );
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0][1], mary.id);
+    assert.equal(errors[0][2], "email");
+
+    assert.throws(
+      () => Keyring(User, { keys, columns: ["email"], onDecryptError: "skip" }),
+      "Unknown decryption error policy: skip"
+    );
+  });
+
+  test("should keeps values that couldn't be decrypted when saving", async () => {
+    const key = "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=";
+    const User = await defineModel({ keys: { 1: key } });
+    const { id, encrypted_email } = await User.create({ email: "EMAIL" });
+    const keys = {
+      1: { key, state: "disabled" },
+      2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=",
+    };
+    const stored = async () =>
+      (
+        await sequelize.query("select encrypted_email from users", {
+          type: Sequelize.QueryTypes.SELECT,
+        })
+      )[0].encrypted_email;
+
+    const NullUser = await defineModel({ keys, onDecryptError: "null" });
+    let user = await NullUser.findByPk(id);
+
+    assert.isNull(user.email);
+
+    user.custom_keyring_id = 42;
+    await user.save();
+
+    assert.equal(await stored(), encrypted_email);
+
+    const CallbackUser = await defineModel({
+      keys,
+      onDecryptError: () => "[unreadable]",
+    });
+    user = await CallbackUser.findByPk(id);
+
+    assert.equal(user.email, "[unreadable]");
+
+    await user.update({ custom_keyring_id: 43 });
+
+    assert.equal(await stored(), encrypted_email);
+
+    await user.update({ email: "NEW EMAIL" });
+
+    assert.notEqual(await stored(), encrypted_email);
+    assert.equal((await CallbackUser.findByPk(id)).email, "NEW EMAIL");
+  });
+
+  test("should encrypts attributes on bulk create", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+
+    await User.bulkCreate([
+      { email: "john@example.com", secret: "JOHN" },
+      { email: "mary@example.com", secret: "MARY" },
+    ]);
+    await User.bulkCreate([{ email: "paul@example.com" }], {
+      fields: ["id", "email"],
+    });
+
+    const [rows] = await sequelize.query(
+      "select encrypted_email, email_digest, keyring_id from users"
+    );
+
+    rows.forEach((row) => {
+      assert.match(row.encrypted_email, /^v2:aes-128-cbc:1:/);
+      assert.equal(row.keyring_id, 1);
+    });
+
+    const john = await User.findOne({ where: { email: "john@example.com" } });
+    const paul = await User.findOne({ where: { email: "paul@example.com" } });
+
+    assert.equal(john.secret, "JOHN");
+    assert.equal(paul.email, "paul@example.com");
+    assert.isNull(paul.secret);
+  });
+
+  test("should encrypts attributes on bulk update", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys });
+    const john = await User.create({ email: "john@example.com" });
+    await User.create({ email: "mary@example.com", secret: "MARY" });
+    await User.create({ email: "paul@example.com", secret: "PAUL" });
+
+    await User.update(
+      { email: "john.doe@example.com" },
+      { where: { email: "john@example.com" } }
+    );
+    await User.update(
+      { secret: "UPDATED" },
+      { where: { email: { [Sequelize.Op.ne]: "john.doe@example.com" } } }
+    );
+
+    const updated = await User.findOne({
+      where: { email: "john.doe@example.com" },
+    });
+
+    assert.equal(updated.id, john.id);
+    assert.isNull(updated.secret);
+
+    const users = await User.findAll({
+      where: { email: ["mary@example.com", "paul@example.com"] },
+    });
+
+    assert.equal(users.length, 2);
+    users.forEach((user) => assert.equal(user.secret, "UPDATED"));
+  });
+
+  test("should guards raw queries", async () => {
+    const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+    const User = await defineModel({ keys, rawQueryGuard: "throw" });
+    const user = await User.create({ email: "EMAIL" });
+
+    try {
+      await sequelize.query(
+        "update users set encrypted_email = null where id = :id",
+        { replacements: { id: user.id } }
+      );
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.match(
+        error.message,
+        /^Raw query writes encrypted columns of users, which bypasses encryption/
+      );
+    }
+
+    await sequelize.query("update users set keyring_id = 1");
+    await sequelize.query("select encrypted_email from users");
+    await User.update({ email: "OTHER" }, { where: { id: user.id } });
+
+    await defineModel({ keys, rawQueryGuard: "warn" });
+
+    const warning = new Promise((resolve) => process.once("warning", resolve));
+
+    await sequelize.query("update users set encrypted_email = null");
+
+    assert.match(
+      (await warning).message,
+      /^Raw query writes encrypted columns of users/
+    );
+
+    await defineModel({ keys });
+    await sequelize.query("update users set encrypted_email = null");
+  });
+
+  test("should reports operations with model and column context", async () => {
+    const events = [];
+    const User = await defineModel({
+      keys: { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" },
+      columns: ["email"],
+      onOperation: (event) => events.push(event),
+    });
+
+    const user = await User.create({ email: "john@example.com" });
+    const found = await User.findByPk(user.id);
+
+    assert.equal(found.email, "john@example.com");
+    assert.deepEqual(
+      events.map(({ operation, keyId, context }) => ({
+        operation,
+        keyId,
+        model: context.model,
+        column: context.column,
+      })),
+      [
+        { operation: "encrypt", keyId: 1, model: "users", column: "email" },
+        { operation: "decrypt", keyId: 1, model: "users", column: "email" },
+      ]
+    );
+  });
 });
@@ -0,0 +1,284 @@
+const { assert } = require("chai");
+const crypto = require("crypto");
+const { pipeline, Readable, Writable } = require("stream");
+const { keyring, IntegrityError, ConfigurationError } = require("../keyring");
+
+const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+
+const collect = (source, ...transforms) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+    });
+
+    pipeline(Readable.from(source), ...transforms, sink, (error) => {
+      if (error) {
+        error.chunks = chunks;
+        reject(error);
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+  });
+
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+
+  assert.fail("expected stream to fail");
+};
+
+// Split an encrypted stream into its header line and frames.
+const frames = (encrypted) => {
+  const index = encrypted.indexOf(0x0a) + 1;
+  const result = { header: encrypted.subarray(0, index), frames: [] };
+  let offset = index;
+
+  while (offset < encrypted.length) {
+    const length = encrypted.readUInt32BE(offset + 1);
+    result.frames.push(encrypted.subarray(offset, offset + 5 + length));
+    offset += 5 + length;
+  }
+
+  return result;
+};
+
+suite("stream", () => {
+  ["aes-128-cbc", "aes-256-gcm", "chacha20-poly1305"].forEach((encryption) => {
+    test(`should encrypts and decrypts streams using ${encryption}`, async () => {
+      const encryptor = keyring(
+        { 1: crypto.randomBytes(32).toString("base64") },
+        { encryption, salt: "" }
+      );
+      const data = crypto.randomBytes(100000);
+      const encrypted = await collect(
+        [data.subarray(0, 10), data.subarray(10)],
+        encryptor.createEncryptStream({ chunkSize: 4096 })
+      );
+
+      assert.match(
+        encrypted.subarray(0, 40).toString(),
+        new RegExp(`^s1:${encryption}:1:`)
+      );
+      assert.equal(frames(encrypted).frames.length, 25);
+
+      const decrypted = await collect(
+        [encrypted],
+        encryptor.createDecryptStream()
+      );
+
+      assert.isTrue(decrypted.equals(data));
+    });
+  });
+
+  test("should encrypts empty streams", async () => {
+    const encryptor = keyring(keys, { salt: "" });
+    const encrypted = await collect([], encryptor.createEncryptStream());
+    const decrypted = await collect(
+      [encrypted],
+      encryptor.createDecryptStream()
+    );
+
+    assert.equal(decrypted.length, 0);
+  });
+
+  test("should detects truncated streams", async () => {
+    const encryptor = keyring(keys, { salt: "" });
+    const encrypted = await collect(
+      [crypto.randomBytes(10000)],
+      encryptor.createEncryptStream({ chunkSize: 1000 })
+    );
+    const { header, frames: parts } = frames(encrypted);
+    const truncated = Buffer.concat([header, ...parts.slice(0, -1)]);
+    const error = await rejection(
+      collect([truncated], encryptor.createDecryptStream())
+    );
+
+    assert.equal(
+      error.message,
+      "Stream is truncated; the final chunk is missing"
+    );
+  });
+
+  test("should detects truncated streams that fake the final flag", async () => {
+    const encryptor = keyring(keys, { salt: "" });
+    const encrypted = await collect(
+      [crypto.randomBytes(10000)],
+      encryptor.createEncryptStream({ chunkSize: 1000 })
+    );
+    const { header, frames: parts } = frames(encrypted);
+    const last = Buffer.from(parts[parts.length - 2]);
+    last[0] = 1;
+
+    const error = await rejection(
+      collect(
+        [Buffer.concat([header, ...parts.slice(0, -2), last])],
+        encryptor.createDecryptStream()
+      )
+    );
+
+    assert.instanceOf(error, IntegrityError);
+  });
+
+  test("should detects reordered chunks", async () => {
+    const encryptor = keyring(keys, { salt: "" });
+    const encrypted = await collect(
+      [crypto.randomBytes(3000)],
+      encryptor.createEncryptStream({ chunkSize: 1000 })
+    );
+    const { header, frames: parts } = frames(encrypted);
+    const error = await rejection(
+      collect(
+        [Buffer.concat([header, parts[1], parts[0], parts[2]])],
+        encryptor.createDecryptStream()
+      )
+    );
+
+    assert.instanceOf(error, IntegrityError);
+    assert.equal(error.chunks.length, 0);
+  });
+
+  test("should never releases tampered chunks", async () => {
+    const encryptor = keyring(keys, { encryption: "aes-256-gcm", salt: "" });
+    const data = crypto.randomBytes(3000);
+    const encrypted = await collect(
+      [data],
+      encryptor.createEncryptStream({ chunkSize: 1000 })
+    );
+    const tampered = Buffer.from(encrypted);
+    tampered[tampered.length - 1200] ^= 1;
+
+    const error = await rejection(
+      collect([tampered], encryptor.createDecryptStream())
+    );
+
+    assert.instanceOf(error, IntegrityError);
+    assert.isTrue(Buffer.concat(error.chunks).equals(data.subarray(0, 1000)));
+  });
+
+  test("should detects data after the final chunk", async () => {
+    const encryptor = keyring(keys, { salt: "" });
+    const encrypted = await collect(
+      [Buffer.from("42")],
+      encryptor.createEncryptStream()
+    );
+    const { frames: parts } = frames(encrypted);
+    const error = await rejection(
+      collect(
+        [Buffer.concat([encrypted, parts[0]])],
+        encryptor.createDecryptStream()
+      )
+    );
+
+    assert.equal(error.message, "Unexpected data after the final chunk");
+  });
+
+  test("should binds streams to context", async () => {
+    const encryptor = keyring(keys, { salt: "" });
+    const encrypted = await collect(
+      [Buffer.from("42")],
+      encryptor.createEncryptStream({ context: { file: "a.pdf" } })
+    );
+
+    const decrypted = await collect(
+      [encrypted],
+      encryptor.createDecryptStream({ context: { file: "a.pdf" } })
+    );
+    assert.equal(decrypted.toString(), "42");
+
+    const error = await rejection(
+      collect(
+        [encrypted],
+        encryptor.createDecryptStream({ context: { file: "b.pdf" } })
+      )
+    );
+    assert.instanceOf(error, IntegrityError);
+  });
+
+  test("should decrypts streams using older keys", async () => {
+    const encrypted = await collect(
+      [Buffer.from("42")],
+      keyring(keys, { salt: "" }).createEncryptStream()
+    );
+    const encryptor = keyring(
+      { ...keys, 2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=" },
+      { salt: "" }
+    );
+    const decrypted = await collect(
+      [encrypted],
+      encryptor.createDecryptStream()
+    );
+
+    assert.equal(decrypted.toString(), "42");
+  });
+
+  test("should rejects chunks larger than the maximum size", async () => {
+    const encryptor = keyring(keys, { salt: "" });
+    const encrypted = await collect(
+      [crypto.randomBytes(5000)],
+      encryptor.createEncryptStream({ chunkSize: 5000 })
+    );
+    const error = await rejection(
+      collect(
+        [encrypted],
+        encryptor.createDecryptStream({ maxChunkSize: 1000 })
+      )
+    );
+
+    assert.equal(error.message, "Chunk exceeds the maximum size of 1000 bytes");
+  });
+
+  test("should validates the chunk size", () => {
+    const encryptor = keyring(keys, { salt: "" });
+
+    [0, -1, NaN, 1.5, "1"].forEach((chunkSize) => {
+      assert.throws(
+        () => encryptor.createEncryptStream({ chunkSize }),
+        ConfigurationError,
+        `Stream chunk size must be a positive integer; got ${chunkSize} instead`
+      );
+    });
+  });
+
+  test("should reports stream operations once they end", async () => {
+    const events = [];
+    const encryptor = keyring(keys, {
+      salt: "",
+      onOperation: (event) => events.push(event),
+    });
+    const data = crypto.randomBytes(10000);
+    const encrypted = await collect(
+      [data],
+      encryptor.createEncryptStream({ chunkSize: 4096 })
+    );
+
+    await collect([encrypted], encryptor.createDecryptStream());
+    await rejection(
+      collect(
+        [encrypted.subarray(0, encrypted.length - 1)],
+        encryptor.createDecryptStream()
+      )
+    );
+
+    assert.deepEqual(
+      events.map(({ operation, keyId, bytes, error }) => [
+        operation,
+        keyId,
+        bytes,
+        error && error.reason,
+      ]),
+      [
+        ["encrypt-stream", 1, 10000, undefined],
+        ["decrypt-stream", 1, 10000, undefined],
+        ["decrypt-stream", 1, 8192, "hmac-mismatch"],
+      ]
+    );
+  });
+});
@@ -0,0 +1,110 @@
+const { assert } = require("chai");
+const { DataSource, EntitySchema } = require("typeorm");
+const { subscriber, transformer } = require("../typeorm");
+
+const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+
+const User = new EntitySchema({
+  name: "User",
+  tableName: "users",
+  columns: {
+    id: { type: "integer", primary: true },
+    encrypted_email: { type: "text", nullable: true },
+    email_digest: { type: "text", nullable: true },
+    keyring_id: { type: "integer", nullable: true },
+  },
+});
+
+const Note = new EntitySchema({
+  name: "Note",
+  tableName: "notes",
+  columns: {
+    id: { type: "integer", primary: true, generated: true },
+    body: {
+      type: "text",
+      nullable: true,
+      transformer: transformer({ model: "Note", column: "body", keys }),
+    },
+  },
+});
+
+suite("typeorm", () => {
+  let dataSource;
+  let userSubscriber;
+
+  setup(async () => {
+    dataSource = new DataSource({
+      type: "sqlite",
+      database: ":memory:",
+      entities: [User, Note],
+      synchronize: true,
+    });
+
+    await dataSource.initialize();
+
+    userSubscriber = subscriber({
+      entity: User,
+      keys,
+      columns: ["email"],
+      salt: "",
+      primaryKey: "id",
+    });
+    dataSource.subscribers.push(userSubscriber);
+  });
+
+  teardown(() => dataSource.destroy());
+
+  test("should encrypts entities using subscriber", async () => {
+    const users = dataSource.getRepository(User);
+
+    await users.save({ id: 1, email: "john@example.com" });
+
+    const [row] = await dataSource.query("select * from users");
+
+    assert.match(row.encrypted_email, /^v2:aes-128-cbc:1:/);
+    assert.isString(row.email_digest);
+    assert.equal(row.keyring_id, 1);
+
+    const user = await users.findOneBy({ id: 1 });
+
+    assert.equal(user.email, "john@example.com");
+
+    user.email = "john.doe@example.com";
+    await userSubscriber.encrypt(user);
+    await users.save(user);
+
+    assert.equal(
+      (await users.findOneBy({ id: 1 })).email,
+      "john.doe@example.com"
+    );
+  });
+
+  test("should finds entities by encrypted column", async () => {
+    const users = dataSource.getRepository(User);
+
+    await users.save({ id: 1, email: "john@example.com" });
+    await users.save({ id: 2, email: "mary@example.com" });
+
+    const { column, digests } = await userSubscriber.fields.digests(
+      "email",
+      "mary@example.com"
+    );
+    const user = await users
+      .createQueryBuilder("user")
+      .where(`user.${column} IN (:...digests)`, { digests })
+      .getOne();
+
+    assert.equal(user.id, 2);
+    assert.equal(user.email, "mary@example.com");
+  });
+
+  test("should encrypts columns using value transformer", async () => {
+    const notes = dataSource.getRepository(Note);
+    const { id } = await notes.save({ body: "SECRET" });
+
+    const [row] = await dataSource.query("select body from notes");
+
+    assert.match(row.body, /^v2:aes-128-cbc:1:/);
+    assert.equal((await notes.findOneBy({ id })).body, "SECRET");
+  });
+});
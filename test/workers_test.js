@@ -0,0 +1,125 @@
+const { assert } = require("chai");
+const { keyring, IntegrityError, KeyNotFoundError } = require("../keyring");
+const { workerPool } = require("../workers");
+
+const keys = { 1: "uDiMcWVNTuz//naQ88sOcN+E40CyBRGzGTT7OkoBS6M=" };
+
+suite("workers", () => {
+  let pool;
+
+  setup(() => {
+    pool = workerPool({ size: 2, chunkSize: 50 });
+  });
+
+  teardown(() => pool.close());
+
+  test("should spreads batches across workers in input order", async () => {
+    const encryptor = keyring(keys, { salt: "", pool });
+    const messages = Array.from({ length: 300 }, (_, index) =>
+      index % 2 ? `${index}` : Buffer.from(`${index}`)
+    );
+    const encrypted = await encryptor.encryptMany(
+      messages.map((message) => ({ message }))
+    );
+    const decrypted = await encryptor.decryptMany(
+      encrypted.map(({ value }) => ({ message: value[0] }))
+    );
+
+    assert.deepEqual(
+      decrypted.map(({ value }) => value),
+      messages
+    );
+    assert.isTrue(Buffer.isBuffer(decrypted[0].value));
+  });
+
+  test("should reports per-item failures", async () => {
+    const events = [];
+    const encryptor = keyring(keys, {
+      salt: "",
+      pool,
+      onOperation: (event) => events.push(event),
+    });
+    const [encrypted] = encryptor.encrypt("42", "users");
+    const [other] = keyring(
+      { 2: "VN8UXRVMNbIh9FWEFVde0q7GUA1SGOie1+FgAKlNYHc=" },
+      { salt: "" }
+    ).encrypt("42");
+
+    const results = await encryptor.decryptMany([
+      { message: encrypted, context: "users" },
+      { message: encrypted, context: "accounts" },
+      { message: other },
+    ]);
+
+    assert.equal(results[0].value, "42");
+    assert.instanceOf(results[1].error, IntegrityError);
+    assert.instanceOf(results[2].error, KeyNotFoundError);
+    assert.equal(results[2].error.keyId, 2);
+    assert.deepEqual(
+      events.map(({ operation, error }) => [operation, error && error.reason]),
+      [
+        ["encrypt", undefined],
+        ["decrypt", undefined],
+        ["decrypt", "hmac-mismatch"],
+        ["decrypt", "unknown-key"],
+      ]
+    );
+  });
+
+  test("should reports items that can't be sent to workers", async () => {
+    const single = workerPool({ size: 1 });
+    const encryptor = keyring(keys, { salt: "", pool: single });
+
+    try {
+      const results = await encryptor.encryptMany([
+        { message: "a" },
+        { message: () => 1 },
+        { message: "b" },
+      ]);
+
+      assert.isString(results[0].value[0]);
+      assert.match(results[1].error.message, /could not be cloned/);
+      assert.isString(results[2].value[0]);
+
+      try {
+        await single.run({
+          operation: "encrypt",
+          source: { keys, options: { salt: "", encryption: () => 1 } },
+          items: [{ message: "c" }],
+          observed: false,
+        });
+        assert.fail("expected batch to fail");
+      } catch (error) {
+        assert.match(error.message, /could not be cloned/);
+      }
+
+      const [result] = await encryptor.encryptMany([{ message: "c" }]);
+
+      assert.isString(result.value[0]);
+    } finally {
+      await single.close();
+    }
+  });
+
+  test("should decrypts asynchronously using workers", async () => {
+    const encryptor = keyring(keys, { salt: "", pool });
+    const [encrypted] = await encryptor.encryptAsync({ name: "John" });
+
+    assert.deepEqual(await encryptor.decryptAsync(encrypted), {
+      name: "John",
+    });
+  });
+
+  test("should rejects batches once closed", async () => {
+    const encryptor = keyring(keys, { salt: "", pool });
+
+    await pool.close();
+
+    try {
+      await encryptor.encryptMany([{ message: "42" }]);
+      assert.fail("expected batch to fail");
+    } catch (error) {
+      assert.equal(error.message, "Worker pool is closed");
+    }
+  });
+});
@@ -0,0 +1,104 @@
+const { encryptedFields, loadedKeyring } = require("./fields");
+
+const isString = (value) => {
+  return typeof value === "string" || value instanceof String;
+};
+
+const isSchema = (entity) => !isString(entity) && Boolean(entity.options);
+
+const entityName = (entity) => {
+  if (isString(entity)) return entity;
+
+  return isSchema(entity) ? entity.options.name : entity.name;
+};
+
+// Entities defined by schemas without a class are identified by their name.
+const entityTarget = (entity) =>
+  isSchema(entity) ? entity.options.target || entity.options.name : entity;
+
+/**
+ * Create the subscriber for an entity with encrypted columns.
+ * Attributes are encrypted before entities are inserted or updated, and
+ * decrypted after they're loaded. Register it after initializing the data
+ * source with `dataSource.subscribers.push(subscriber)`.
+ *
+ * TypeORM only runs subscribers for entities whose columns changed, so when
+ * only encrypted attributes change, call `await subscriber.encrypt(entity)`
+ * before saving it.
+ *
+ * @public
+ * @param  {Object}                 options
+ * @param  {Function|Object|String} options.entity   The entity class, schema or name.
+ * @param  {Array}                  options.columns  The encrypted columns.
+ * @return {Object}                                  The entity subscriber.
+ */
+
+const subscriber = ({ entity, ...options }) => {
+  const fields = encryptedFields({ model: entityName(entity), ...options });
+
+  const encrypt = async (target) =>
+    Object.assign(target, await fields.encrypt(target));
+
+  const beforeWrite = async (event) => {
+    if (event.entity) await encrypt(event.entity);
+  };
+
+  return {
+    fields,
+    encrypt,
+    listenTo: () => entityTarget(entity),
+    beforeInsert: beforeWrite,
+    beforeUpdate: beforeWrite,
+    afterLoad: async (loaded) =>
+      Object.assign(loaded, await fields.decrypt(loaded)),
+  };
+};
+
+/**
+ * Create a `ValueTransformer` that encrypts a single column in place.
+ * Unlike the subscriber, the value isn't bound to its record, and there's no
+ * digest or keyring id column: the key id is read from the encrypted value.
+ * Encrypted values can't be used in `where` conditions.
+ * Keys from key providers must be loaded first with `await transformer.load()`.
+ *
+ * @public
+ * @param  {Object} options
+ * @param  {String} options.model   The entity name, used as encryption context.
+ * @param  {String} options.column  The column name, used as encryption context.
+ * @return {Object}                 The value transformer.
+ */
+
+const transformer = ({ model, column, ...options }) => {
+  // Digests aren't generated, so there's no need for a salt.
+  const fields = encryptedFields({
+    salt: "",
+    ...options,
+    model,
+    columns: [{ name: column, digestColumn: false }],
+  });
+  const [{ keyring }] = fields.columns;
+  const context = { model, column };
+
+  return {
+    load: fields.load,
+    to: (value) =>
+      value === null || value === undefined
+        ? value
+        : loadedKeyring(keyring).encrypt(value, context)[0],
+    from: (value) =>
+      isString(value)
+        ? loadedKeyring(keyring).decrypt(value, undefined, context)
+        : value,
+  };
+};
+
+/**
+ * The module's public interface.
+ *
+ * @type {Object}
+ */
+
+module.exports = {
+  subscriber,
+  transformer,
+};
@@ -0,0 +1,313 @@
+/**
+ * Node os module.
+ * @constant
+ * @type {Object}
+ */
+const os = require("os");
+
+/**
+ * Node v8 module.
+ * @constant
+ * @type {Object}
+ */
+const v8 = require("v8");
+
+/**
+ * Node worker_threads module.
+ * @constant
+ * @type {Object}
+ */
+const {
+  Worker,
+  isMainThread,
+  parentPort,
+  workerData,
+} = require("worker_threads");
+
+const keyringModule = require("./keyring");
+
+// A worker pool spreads the items of encryptMany() and decryptMany() across
+// worker threads. Workers receive the raw keys and options along with each
+// batch, so keyrings backed by key providers keep using their latest keys, and
+// send back per-item results and the events for the `onOperation` hook.
+
+// Errors are sent back as plain objects, and rebuilt using the keyring's
+// error classes.
+const errorClasses = [
+  "KeyringError",
+  "ConfigurationError",
+  "KeyNotFoundError",
+  "IntegrityError",
+  "MalformedCiphertextError",
+];
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  keyId: error.keyId,
+  state: error.state,
+});
+
+const deserializeError = ({ name, message, keyId, state }) => {
+  if (!errorClasses.includes(name)) return new Error(message);
+
+  const error = new keyringModule[name](message);
+
+  if (keyId !== undefined) error.keyId = keyId;
+  if (state !== undefined) error.state = state;
+
+  return error;
+};
+
+// Buffers are cloned as plain Uint8Arrays.
+const serializeValue = (value) =>
+  Buffer.isBuffer(value) ? { value, buffer: true } : { value };
+
+const deserializeValue = ({ value, buffer }) =>
+  buffer
+    ? Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+    : value;
+
+// Items that can't be cloned (e.g. functions) never reach a worker; they're
+// reported as per-item failures instead of failing the whole batch.
+const cloneError = (item) => {
+  try {
+    v8.serialize(item);
+  } catch (error) {
+    return error;
+  }
+};
+
+/**
+ * Run a batch in the worker thread.
+ * Keyrings are cached by their keys and options, which usually don't change
+ * between batches.
+ *
+ * @private This function is used by the worker thread.
+ *
+ * @param  {Object} cache  The cached keyring, with its fingerprint.
+ * @param  {Object} task   The batch.
+ * @return {Object}        The per-item results and the reported events.
+ */
+
+const runTask = (cache, { operation, source, items, observed }) => {
+  const events = [];
+  const fingerprint = JSON.stringify(source);
+
+  if (cache.fingerprint !== fingerprint) {
+    cache.fingerprint = fingerprint;
+    cache.keyring = keyringModule.keyring(source.keys, {
+      ...source.options,
+      onOperation: (event) => cache.events.push(event),
+    });
+  }
+
+  cache.events = events;
+
+  const results = items.map((item) => {
+    try {
+      return serializeValue(
+        operation === "encrypt"
+          ? cache.keyring.encrypt(item.message, item.context, {
+              deterministic: item.deterministic,
+            })
+          : cache.keyring.decrypt(item.message, item.keyringId, item.context)
+      );
+    } catch (error) {
+      return { error: serializeError(error) };
+    }
+  });
+
+  return { results, events: observed ? events : [] };
+};
+
+if (!isMainThread && workerData && workerData.keyringWorker) {
+  const cache = { events: [] };
+
+  parentPort.on("message", ({ id, task }) => {
+    try {
+      parentPort.postMessage({ id, ...runTask(cache, task) });
+    } catch (error) {
+      parentPort.postMessage({ id, failure: serializeError(error) });
+    }
+  });
+}
+
+/**
+ * Create a pool of worker threads for the keyring's batch and async operations.
+ * Batches are split into chunks, which are spread across the workers; results
+ * are always returned in input order. Idle workers don't keep the process
+ * alive, but call `close()` to terminate them.
+ *
+ * ```js
+ * const pool = workerPool({ size: 4 });
+ * const encryptor = keyring(keys, { salt, pool });
+ *
+ * await encryptor.decryptMany(rows.map((row) => ({ message: row.encrypted })));
+ * ```
+ *
+ * @public
+ * @param  {Object} options
+ * @param  {Number} options.size       The number of workers. Defaults to the number of CPUs.
+ * @param  {Number} options.chunkSize  The maximum number of items sent to a worker at once.
+ * @return {Object}                    The pool, with `run(task)` and `close()` functions.
+ */
+
+const workerPool = ({ size = os.cpus().length, chunkSize = 1000 } = {}) => {
+  if (!Number.isInteger(size) || size < 1)
+    throw new keyringModule.ConfigurationError(
+      `Worker pool size must be a positive integer; got ${size} instead`
+    );
+
+  const workers = [];
+  const queue = [];
+  const pending = new Map();
+  let nextId = 0;
+  let closed = false;
+
+  const dispatch = () => {
+    while (queue.length > 0) {
+      const worker = workers.find((worker) => !worker.busy);
+
+      if (!worker) return;
+
+      const job = queue.shift();
+
+      worker.busy = true;
+      worker.ref();
+      pending.set(job.id, { ...job, worker });
+
+      try {
+        worker.postMessage({ id: job.id, task: job.task });
+      } catch (error) {
+        pending.delete(job.id);
+        worker.busy = false;
+        worker.unref();
+        job.reject(error);
+      }
+    }
+  };
+
+  const settle = (worker, { id, results, events, failure }) => {
+    const job = pending.get(id);
+
+    pending.delete(id);
+    worker.busy = false;
+    worker.unref();
+
+    if (failure) job.reject(deserializeError(failure));
+    else job.resolve({ results, events });
+
+    dispatch();
+  };
+
+  const fail = (worker, error) => {
+    pending.forEach((job, id) => {
+      if (job.worker !== worker) return;
+
+      pending.delete(id);
+      job.reject(error);
+    });
+
+    workers.splice(workers.indexOf(worker), 1);
+
+    if (!closed) workers.push(spawn());
+
+    dispatch();
+  };
+
+  const spawn = () => {
+    const worker = new Worker(__filename, {
+      workerData: { keyringWorker: true },
+    });
+
+    worker.busy = false;
+    worker.unref();
+    worker.on("message", (message) => settle(worker, message));
+    worker.on("error", (error) => fail(worker, error));
+
+    return worker;
+  };
+
+  for (let i = 0; i < size; i++) workers.push(spawn());
+
+  const runChunk = (task) =>
+    new Promise((resolve, reject) => {
+      if (closed) return reject(new Error("Worker pool is closed"));
+
+      queue.push({ id: nextId++, task, resolve, reject });
+      dispatch();
+    });
+
+  return {
+    /**
+     * Run a batch on the workers.
+     *
+     * @param  {Object}  task            The batch.
+     * @param  {String}  task.operation  The operation: `encrypt` or `decrypt`.
+     * @param  {Object}  task.source     The raw keys and serializable keyring options.
+     * @param  {Array}   task.items      The items.
+     * @param  {Boolean} task.observed   Whether events should be reported.
+     * @return {Promise}                 Resolves to the per-item `{ value }` or
+     *                                   `{ error }` results and the events.
+     */
+    run: async (task) => {
+      const failures = new Map();
+      const items = task.items.filter((item, index) => {
+        const error = cloneError(item);
+
+        if (error) failures.set(index, { error: serializeError(error) });
+
+        return !error;
+      });
+      const chunks = [];
+      const length = Math.max(
+        1,
+        Math.min(chunkSize, Math.ceil(items.length / size))
+      );
+
+      for (let i = 0; i < items.length; i += length)
+        chunks.push({ ...task, items: items.slice(i, i + length) });
+
+      const outputs = await Promise.all(chunks.map(runChunk));
+      const results = [].concat(...outputs.map(({ results }) => results));
+
+      failures.forEach((failure, index) => results.splice(index, 0, failure));
+
+      return {
+        results: results.map((result) =>
+          result.error
+            ? { error: deserializeError(result.error) }
+            : { value: deserializeValue(result) }
+        ),
+        events: [].concat(...outputs.map(({ events }) => events)),
+      };
+    },
+
+    /**
+     * Terminate the workers. Pending batches are rejected.
+     *
+     * @return {Promise}  Resolves once all workers are terminated.
+     */
+    close: async () => {
+      closed = true;
+
+      const jobs = [...queue.splice(0), ...pending.values()];
+
+      pending.clear();
+      jobs.forEach((job) => job.reject(new Error("Worker pool is closed")));
+
+      await Promise.all(workers.splice(0).map((worker) => worker.terminate()));
+    },
+  };
+};
+
+/**
+ * The module's public interface.
+ *
+ * @type {Object}
+ */
+
+module.exports = {
+  workerPool,
+};